@@ -0,0 +1,325 @@
+// server/signaling.js
+// tiny WebSocket signaling server for P2P rooms on a LAN (no Firebase needed).
+// dependency-free: speaks just enough RFC 6455 for JSON text messages
+// (fragmented ones included), pings and closes.
+//
+//   npm run signal            # listens on :8787, or PORT=9000 npm run signal
+//
+// it keeps rooms -> { peers, pairs } in memory, like rooms/{roomId} in the
+// realtime database, and removes a socket's peers and pairs when it disconnects.
+// the protocol is described in src/signalingWs.js.
+import { createServer } from "node:http";
+import { createHash } from "node:crypto";
+
+const PORT = Number(process.env.PORT) || 8787;
+const WS_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+const MAX_MESSAGE_BYTES = 1024 * 1024;
+// control frames (close, ping, pong) are never fragmented and carry at most this much
+const MAX_CONTROL_BYTES = 125;
+
+const OP_CONTINUATION = 0x0;
+const OP_TEXT = 0x1;
+const OP_BINARY = 0x2;
+const OP_CLOSE = 0x8;
+const OP_PING = 0x9;
+const OP_PONG = 0xa;
+const CLOSE_PROTOCOL_ERROR = 1002;
+
+// roomId -> { peers: Map(peerId -> { joinedAt }), lists: Map(`${pair}/${list}` -> [value]) }.
+// a room exists from the first announce until it is empty again.
+const rooms = new Map();
+
+function joinRoom(id) {
+  if (!rooms.has(id)) rooms.set(id, { peers: new Map(), lists: new Map() });
+  return rooms.get(id);
+}
+
+function pruneRoom(id) {
+  const r = rooms.get(id);
+  if (r && !r.peers.size && !r.lists.size) rooms.delete(id);
+}
+
+function peersOf(roomId) {
+  const r = rooms.get(roomId);
+  return r ? Object.fromEntries(r.peers) : {};
+}
+
+// --- websocket framing ---
+
+function sendFrame(socket, opcode, payload) {
+  if (socket.destroyed) return;
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0x80 | opcode, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+  socket.write(Buffer.concat([header, payload]));
+}
+
+function sendText(socket, text) {
+  sendFrame(socket, OP_TEXT, Buffer.from(text));
+}
+
+// pulls complete frames off the buffer; returns [frames, rest].
+// throws on anything a client may not send.
+function readFrames(buffer) {
+  const frames = [];
+  let offset = 0;
+  while (buffer.length - offset >= 2) {
+    const b0 = buffer[offset];
+    const b1 = buffer[offset + 1];
+    const fin = (b0 & 0x80) !== 0;
+    const opcode = b0 & 0x0f;
+    if (b0 & 0x70) throw new Error("reserved bits set");
+    if (!(b1 & 0x80)) throw new Error("unmasked client frame");
+    let length = b1 & 0x7f;
+    let pos = offset + 2;
+    if (length === 126) {
+      if (buffer.length < pos + 2) break;
+      length = buffer.readUInt16BE(pos);
+      pos += 2;
+    } else if (length === 127) {
+      if (buffer.length < pos + 8) break;
+      length = Number(buffer.readBigUInt64BE(pos));
+      pos += 8;
+    }
+    if (length > MAX_MESSAGE_BYTES) throw new Error("frame too large");
+    if (opcode & 0x8 && (!fin || length > MAX_CONTROL_BYTES)) throw new Error("bad control frame");
+    const maskEnd = pos + 4;
+    if (buffer.length < maskEnd + length) break;
+    const payload = Buffer.from(buffer.subarray(maskEnd, maskEnd + length));
+    for (let i = 0; i < payload.length; i++) payload[i] ^= buffer[pos + (i % 4)];
+    frames.push({ fin, opcode, payload });
+    offset = maskEnd + length;
+  }
+  return [frames, buffer.subarray(offset)];
+}
+
+// joins fragmented messages back together; onMessage(opcode, payload) gets
+// whole text/binary messages, onControl(opcode, payload) the rest
+function createAssembler(onMessage, onControl) {
+  let partial = null; // { opcode, parts, size } while a fragmented message arrives
+
+  return function receive({ fin, opcode, payload }) {
+    if (opcode & 0x8) {
+      onControl(opcode, payload);
+      return;
+    }
+    if (opcode === OP_CONTINUATION) {
+      if (!partial) throw new Error("continuation without a message");
+    } else if (opcode === OP_TEXT || opcode === OP_BINARY) {
+      if (partial) throw new Error("new message inside a fragmented one");
+      partial = { opcode, parts: [], size: 0 };
+    } else {
+      throw new Error(`unknown opcode ${opcode}`);
+    }
+    partial.parts.push(payload);
+    partial.size += payload.length;
+    if (partial.size > MAX_MESSAGE_BYTES) throw new Error("message too large");
+    if (!fin) return;
+    const { opcode: kind, parts } = partial;
+    partial = null;
+    onMessage(kind, Buffer.concat(parts));
+  };
+}
+
+// --- clients ---
+
+class Client {
+  constructor(socket) {
+    this.socket = socket;
+    this.peers = new Set(); // `${room}\n${peer}` announced on this socket
+    this.pairs = new Set(); // `${room}\n${pair}` this socket signals on
+    this.watches = new Map(); // wid -> { room, kind: "peers" | "list", path }
+  }
+
+  send(msg) {
+    sendText(this.socket, JSON.stringify(msg));
+  }
+}
+
+const clients = new Set();
+
+function broadcastPeers(roomId) {
+  const peers = peersOf(roomId);
+  clients.forEach((c) => {
+    c.watches.forEach((w, wid) => {
+      if (w.kind === "peers" && w.room === roomId) c.send({ op: "peers", wid, peers });
+    });
+  });
+}
+
+function removePair(roomId, pair) {
+  const r = rooms.get(roomId);
+  if (!r) return;
+  [...r.lists.keys()].forEach((path) => {
+    if (path.startsWith(`${pair}/`)) r.lists.delete(path);
+  });
+  pruneRoom(roomId);
+}
+
+function handle(client, msg) {
+  const roomId = typeof msg.room === "string" ? msg.room : null;
+  if (!roomId) return;
+  const r = rooms.get(roomId);
+  if (msg.op === "announce" || msg.op === "withdraw") {
+    if (typeof msg.peer !== "string") return;
+  }
+  if (msg.op === "push" || msg.op === "watch" || msg.op === "remove-pair") {
+    if (typeof msg.pair !== "string" || (msg.op !== "remove-pair" && typeof msg.list !== "string")) return;
+  }
+
+  switch (msg.op) {
+    case "announce":
+      joinRoom(roomId).peers.set(msg.peer, { joinedAt: Date.now() });
+      client.peers.add(`${roomId}\n${msg.peer}`);
+      broadcastPeers(roomId);
+      break;
+    case "withdraw":
+      if (!r) return;
+      r.peers.delete(msg.peer);
+      client.peers.delete(`${roomId}\n${msg.peer}`);
+      broadcastPeers(roomId);
+      pruneRoom(roomId);
+      break;
+    case "watch-peers":
+      client.watches.set(msg.wid, { room: roomId, kind: "peers" });
+      client.send({ op: "peers", wid: msg.wid, peers: peersOf(roomId) });
+      break;
+    case "push": {
+      // only peers that have joined the room signal in it
+      if (!r) return;
+      const path = `${msg.pair}/${msg.list}`;
+      if (!r.lists.has(path)) r.lists.set(path, []);
+      r.lists.get(path).push(msg.value);
+      client.pairs.add(`${roomId}\n${msg.pair}`);
+      clients.forEach((c) => {
+        c.watches.forEach((w, wid) => {
+          if (w.kind === "list" && w.room === roomId && w.path === path) c.send({ op: "item", wid, value: msg.value });
+        });
+      });
+      break;
+    }
+    case "watch": {
+      const path = `${msg.pair}/${msg.list}`;
+      client.watches.set(msg.wid, { room: roomId, kind: "list", path });
+      client.pairs.add(`${roomId}\n${msg.pair}`);
+      ((r && r.lists.get(path)) || []).forEach((value) => client.send({ op: "item", wid: msg.wid, value }));
+      break;
+    }
+    case "unwatch":
+      client.watches.delete(msg.wid);
+      break;
+    case "remove-pair":
+      client.pairs.delete(`${roomId}\n${msg.pair}`);
+      removePair(roomId, msg.pair);
+      break;
+    default:
+      break;
+  }
+}
+
+// what the realtime database's onDisconnect handlers do for the Firebase transport
+function disconnect(client) {
+  if (!clients.delete(client)) return;
+  const touched = new Set();
+  client.peers.forEach((key) => {
+    const [roomId, peer] = key.split("\n");
+    const r = rooms.get(roomId);
+    if (r) r.peers.delete(peer);
+    touched.add(roomId);
+  });
+  client.pairs.forEach((key) => {
+    const [roomId, pair] = key.split("\n");
+    removePair(roomId, pair);
+  });
+  touched.forEach((roomId) => {
+    broadcastPeers(roomId);
+    pruneRoom(roomId);
+  });
+}
+
+const server = createServer((req, res) => {
+  res.writeHead(426, { "Content-Type": "text/plain" });
+  res.end("websocket signaling only\n");
+});
+
+server.on("upgrade", (req, socket) => {
+  const key = req.headers["sec-websocket-key"];
+  if (!key || (req.headers.upgrade || "").toLowerCase() !== "websocket") {
+    socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+    return;
+  }
+  const accept = createHash("sha1").update(key + WS_GUID).digest("base64");
+  socket.write(
+    "HTTP/1.1 101 Switching Protocols\r\n" +
+      "Upgrade: websocket\r\n" +
+      "Connection: Upgrade\r\n" +
+      `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+  );
+
+  const client = new Client(socket);
+  clients.add(client);
+  let buffer = Buffer.alloc(0);
+  let closing = false;
+
+  const receive = createAssembler(
+    (opcode, payload) => {
+      if (opcode !== OP_TEXT) return;
+      try {
+        handle(client, JSON.parse(payload.toString("utf8")));
+      } catch (err) {
+        console.error("signaling: bad message:", err.message);
+      }
+    },
+    (opcode, payload) => {
+      if (opcode === OP_CLOSE) {
+        // echo the status code, then hang up
+        closing = true;
+        sendFrame(socket, OP_CLOSE, payload.subarray(0, 2));
+        socket.end();
+      } else if (opcode === OP_PING) {
+        sendFrame(socket, OP_PONG, payload);
+      }
+    }
+  );
+
+  socket.on("data", (chunk) => {
+    if (closing) return;
+    buffer = Buffer.concat([buffer, chunk]);
+    try {
+      let frames;
+      [frames, buffer] = readFrames(buffer);
+      for (const frame of frames) {
+        receive(frame);
+        if (closing) break;
+      }
+    } catch (err) {
+      console.error("signaling: dropping client:", err.message);
+      closing = true;
+      const status = Buffer.alloc(2);
+      status.writeUInt16BE(CLOSE_PROTOCOL_ERROR);
+      sendFrame(socket, OP_CLOSE, status);
+      socket.end();
+    }
+  });
+  socket.on("end", () => {
+    disconnect(client);
+    socket.end();
+  });
+  socket.on("close", () => disconnect(client));
+  socket.on("error", () => disconnect(client));
+});
+
+server.listen(PORT, () => {
+  console.log(`signaling server listening on ws://localhost:${PORT}`);
+});
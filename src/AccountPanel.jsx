@@ -0,0 +1,113 @@
+// src/AccountPanel.jsx
+import React, { useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { identity } from "./identity";
+import { dropSearchIndex } from "./searchIndex";
+
+// header account control: guests can save their account (same uid) or sign in
+export default function AccountPanel({ user }) {
+  const [open, setOpen] = useState(false);
+  const [email, setEmail] = useState("");
+  const [password, setPassword] = useState("");
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+  const navigate = useNavigate();
+
+  if (!user) return <span className="gs-muted">Signing in…</span>;
+  if (!identity.supportsAccounts) {
+    return <span className="gs-account-status" title="Accounts need a Firebase project">Guest</span>;
+  }
+
+  async function run(action) {
+    setBusy(true);
+    setError("");
+    try {
+      await action(email.trim(), password);
+      setOpen(false);
+      setPassword("");
+    } catch (err) {
+      setError(err.message || String(err));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  // the search index holds this account's messages as plain text, and the open
+  // room link must not join the next user to it
+  function signOut() {
+    dropSearchIndex(user.uid).catch((err) => console.error("search index error:", err));
+    navigate("/", { replace: true });
+    identity.signOut();
+  }
+
+  if (!user.anonymous) {
+    return (
+      <div className="gs-account">
+        <span className="gs-account-status" title={`Signed in as ${user.email}`}>{user.email}</span>
+        <button type="button" className="gs-btn gs-btn--muted" onClick={signOut}>
+          Sign out
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="gs-account">
+      <button
+        type="button"
+        className="gs-btn gs-btn--muted"
+        onClick={() => setOpen((o) => !o)}
+        aria-expanded={open}
+        title="You're a guest: keep this identity by adding an email and password"
+      >
+        Guest · Sign in
+      </button>
+
+      {open && (
+        <form
+          className="gs-account-form"
+          onSubmit={(e) => {
+            e.preventDefault();
+            run(identity.upgrade);
+          }}
+        >
+          <input
+            type="email"
+            className="gs-input"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            placeholder="Email"
+            aria-label="Email"
+            autoComplete="email"
+          />
+          <input
+            type="password"
+            className="gs-input"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            placeholder="Password"
+            aria-label="Password"
+            autoComplete="current-password"
+          />
+          <div className="gs-account-actions">
+            <button type="submit" className="gs-btn gs-btn--primary" disabled={busy || !email || !password}>
+              Save account
+            </button>
+            <button
+              type="button"
+              className="gs-btn gs-btn--muted"
+              disabled={busy || !email || !password}
+              onClick={() => run(identity.signIn)}
+            >
+              Sign in
+            </button>
+          </div>
+          <div className="gs-muted">
+            “Save account” keeps your current identity; “Sign in” switches to an existing account.
+          </div>
+          {error && <div className="gs-unlock-error" role="alert">{error}</div>}
+        </form>
+      )}
+    </div>
+  );
+}
@@ -1,205 +1,200 @@
 // src/App.jsx
 import React, { useEffect, useRef, useState } from "react";
-import { db } from "./firebase";
-import {
-  ref,
-  push,
-  set,
-  onChildAdded,
-  onValue,
-  remove,
-  onDisconnect,
-  query,
-  limitToLast,
-} from "firebase/database";
-import { v4 as uuidv4 } from "uuid";
+import { chat } from "./chatService";
+import { useMatch, useNavigate } from "react-router-dom";
+import ChatRoom from "./ChatRoom";
+import AccountPanel from "./AccountPanel";
+import RoomDirectory from "./RoomDirectory";
+import NewRoomForm from "./NewRoomForm";
+import { identity } from "./identity";
+import { MAX_NAME_LENGTH } from "./presence";
+import { clearOutbox } from "./outbox";
+import { clearRoomIndex } from "./searchIndex";
+import { createEncryption, rememberRoomKey } from "./roomCrypto";
+import { createPassword, hashPassword } from "./roomPassword";
+import { parseTranscript, importTranscript } from "./transcript";
 import "./App.css";
 
+// joined rooms survive reloads, per signed-in user
+function roomsKey(uid) {
+  return `chat_rooms_${uid}`;
+}
+
+function loadJoinedRooms(uid) {
+  try {
+    const ids = JSON.parse(localStorage.getItem(roomsKey(uid)) || "[]");
+    return Array.isArray(ids) ? ids.filter((id) => typeof id === "string" && id) : [];
+  } catch {
+    return [];
+  }
+}
+
+// short random room id
+function randomRoomId() {
+  return Math.random().toString(36).slice(2, 9);
+}
+
+// password-protected rooms ask once; after that the database knows us as a member.
+// resolves true when we may subscribe to the room.
+async function admitToRoom(roomId, userId) {
+  const gate = await chat.getPasswordGate(roomId);
+  if (!gate || (await chat.hasAccess(roomId, userId))) return true;
+  const password = window.prompt(`Room ${roomId} is password-protected. Password:`);
+  if (!password) return false;
+  try {
+    await chat.enterRoom(roomId, userId, await hashPassword(password, gate));
+    return true;
+  } catch (err) {
+    console.error("enterRoom error:", err);
+    alert("That password doesn't match this room.");
+    return false;
+  }
+}
+
+// lobby at "/" and relayed chat rooms at "/r/:roomId"; the route picks the room in view
 export default function App() {
-  const [roomId, setRoomId] = useState("");
-  const [inRoom, setInRoom] = useState(false);
-  const [messages, setMessages] = useState([]);
-  const [participants, setParticipants] = useState({});
-  const [localText, setLocalText] = useState("");
+  const navigate = useNavigate();
+  const roomMatch = useMatch("/r/:roomId");
+  const activeRoomId = roomMatch ? roomMatch.params.roomId.trim() : "";
+  const [joinedRooms, setJoinedRooms] = useState([]);
+  const [roomInput, setRoomInput] = useState("");
+  const [unread, setUnread] = useState({});
   const [name, setName] = useState(
     () => "goatsloth-" + Math.random().toString(36).slice(2, 7)
   );
+  // signed-in user; its uid is who we are in every room
+  const [user, setUser] = useState(null);
+  const [loadedFor, setLoadedFor] = useState(null);
+  const userId = user ? user.uid : null;
+
+  // take the saved display name and joined rooms once per signed-in user
+  if (user && loadedFor !== user.uid) {
+    setLoadedFor(user.uid);
+    setJoinedRooms(loadJoinedRooms(user.uid));
+    if (user.displayName) setName(user.displayName);
+  }
 
-  const userIdRef = useRef(localStorage.getItem("chat_user_id") || uuidv4());
-  const roomRef = useRef(null);
-  const messagesRef = useRef(null);
-  const participantsRef = useRef(null);
-  const cleanupRef = useRef([]);
-  const chatEndRef = useRef(null);
-
-  // persist user id
-  useEffect(() => {
-    localStorage.setItem("chat_user_id", userIdRef.current);
-  }, []);
+  useEffect(() => identity.watchUser(setUser), []);
 
-  // auto scroll to bottom when messages change
+  // deep links join the room they point at, after the same password check as joinRoom
+  const admittingRef = useRef(null);
   useEffect(() => {
-    if (chatEndRef.current) {
-      chatEndRef.current.scrollIntoView({ behavior: "smooth", block: "end" });
-    }
-  }, [messages]);
+    if (!userId || !activeRoomId || joinedRooms.includes(activeRoomId)) return;
+    if (admittingRef.current === activeRoomId) return;
+    const id = activeRoomId;
+    admittingRef.current = id;
+    admitToRoom(id, userId)
+      .then((ok) => {
+        if (ok) setJoinedRooms((rooms) => (rooms.includes(id) ? rooms : [...rooms, id]));
+        else navigate("/", { replace: true });
+      })
+      .catch((err) => console.error("admitToRoom error:", err))
+      .finally(() => {
+        if (admittingRef.current === id) admittingRef.current = null;
+      });
+  }, [activeRoomId, userId, joinedRooms, navigate]);
 
-  // helper to cleanup firebase listeners
-  function pushCleanup(fn) {
-    cleanupRef.current.push(fn);
-  }
-  function runCleanup() {
-    cleanupRef.current.forEach((fn) => {
-      try {
-        if (typeof fn === "function") fn();
-      } catch {}
-    });
-    cleanupRef.current = [];
+  // keep the display name with the account
+  function saveName(next) {
+    const value = (next || "").trim().slice(0, MAX_NAME_LENGTH);
+    if (!value || (user && value === user.displayName)) return;
+    identity.setDisplayName(value).catch((err) => console.error("setDisplayName error:", err));
   }
 
-  // create room
-  async function createRoom() {
-    const id = Math.random().toString(36).slice(2, 9);
-    setRoomId(id);
-    await set(ref(db, `rooms/${id}`), { createdAt: Date.now() });
-    joinRoom(id);
+  function rename(next) {
+    setName(next);
+    saveName(next);
   }
 
-  // join room
-  async function joinRoom(id) {
-    if (!id) return alert("Enter room id");
-    // if already in a room, cleanup previous
-    if (inRoom) {
-      await leaveRoom();
-    }
-
-    setRoomId(id);
-    setInRoom(true);
-
-    roomRef.current = ref(db, `rooms/${id}`);
-    messagesRef.current = ref(db, `rooms/${id}/messages`);
-    participantsRef.current = ref(db, `rooms/${id}/participants`);
-
-    // presence: add participant
-    const pRef = ref(
-      db,
-      `rooms/${id}/participants/${userIdRef.current}`
-    );
-    await set(pRef, {
-      id: userIdRef.current,
-      name,
-      joinedAt: Date.now(),
-    });
-
-    // onDisconnect cleanup (best-effort)
-    try {
-      onDisconnect(pRef).remove();
-    } catch {}
-
-    // subscribe participants
-    const unsubParticipants = onValue(participantsRef.current, (snap) => {
-      const val = snap.val() || {};
-      setParticipants(val);
-    });
-    pushCleanup(() => unsubParticipants && typeof unsubParticipants === "function" && unsubParticipants());
-
-    // subscribe to latest messages (limit to last 200)
-    const recentQuery = query(messagesRef.current, limitToLast(200));
-    const unsubMessages = onChildAdded(recentQuery, (snap) => {
-      const val = snap.val();
-      if (!val) return;
-      const msg = {
-        id: snap.key,
-        fromId: val.fromId,
-        fromName: val.fromName,
-        text: val.text,
-        at: val.at,
-      };
-      setMessages((prev) => {
-        if (prev.some((m) => m.id === msg.id)) return prev;
-        return [...prev, msg];
-      });
-    });
-    pushCleanup(() => unsubMessages && typeof unsubMessages === "function" && unsubMessages());
+  // persist joined rooms
+  useEffect(() => {
+    if (loadedFor) localStorage.setItem(roomsKey(loadedFor), JSON.stringify(joinedRooms));
+  }, [loadedFor, joinedRooms]);
 
-    // ensure room exists (create if removed)
-    const unsubRoom = onValue(
-      roomRef.current,
-      (snap) => {
-        if (!snap.exists()) {
-          set(roomRef.current, { createdAt: Date.now() });
-        }
-      },
-      { onlyOnce: true }
-    );
-    pushCleanup(() => unsubRoom && typeof unsubRoom === "function" && unsubRoom());
+  // switch the visible room; every joined room keeps its listeners
+  function switchRoom(id) {
+    navigate(`/r/${encodeURIComponent(id)}`);
+  }
 
-    // note: cleanupRef populated for leaveRoom / rejoin
+  // peer-to-peer rooms live on their own route
+  function startP2PRoom() {
+    navigate(`/p2p/${randomRoomId()}`);
   }
 
-  // leave room
-  async function leaveRoom() {
-    if (!inRoom || !roomId) return;
+  // create room, optionally with { title, topic, listed, password }
+  async function createRoom({ title, topic, listed, password } = {}) {
+    const id = randomRoomId();
+    await chat.createRoom(id, userId);
+    if (title || topic) await chat.updateMeta(id, { title: title || null, topic: topic || null });
+    // the password goes in before the room is listed, so it's never open
+    if (password) await chat.setPassword(id, await createPassword(password), userId);
+    if (listed) await chat.setListed(id, true);
+    joinRoom(id);
+  }
 
+  // restore a JSON transcript into a new room of ours
+  async function importRoom(file) {
     try {
-      await remove(
-        ref(db, `rooms/${roomId}/participants/${userIdRef.current}`)
-      );
-    } catch {}
-
-    // cleanup listeners
-    runCleanup();
+      const transcript = parseTranscript(await file.text());
+      const id = randomRoomId();
+      await chat.createRoom(id, userId);
+      const count = await importTranscript(id, transcript, userId);
+      joinRoom(id);
+      alert(`Imported ${count} messages into room ${id}.`);
+    } catch (err) {
+      console.error("import error:", err);
+      alert(`Couldn't import that file: ${err.message || err}`);
+    }
+  }
 
-    setInRoom(false);
-    setMessages([]);
-    setParticipants({});
-    roomRef.current = null;
-    messagesRef.current = null;
-    participantsRef.current = null;
-    setRoomId("");
+  // encrypted room: the passphrase is shared out of band and never stored
+  async function createEncryptedRoom() {
+    const passphrase = window.prompt("Passphrase for the new encrypted room (share it with the people you invite):");
+    if (!passphrase) return;
+    const id = randomRoomId();
+    const { meta, key } = await createEncryption(id, passphrase);
+    await chat.createRoom(id, userId);
+    await chat.updateMeta(id, { encryption: meta });
+    rememberRoomKey(id, key);
+    joinRoom(id);
   }
 
-  // send message
-  async function sendMessage() {
-    if (!inRoom) {
-      alert("Join a room to send messages.");
-      return;
-    }
-    if (!localText.trim()) return;
+  // join room (or just switch to it when already joined); nothing is subscribed
+  // until a password-protected room has accepted us
+  async function joinRoom(id) {
+    id = (id || "").trim();
+    if (!id) return alert("Enter room id");
+    if (!joinedRooms.includes(id) && !(await admitToRoom(id, userId))) return;
+    setJoinedRooms((rooms) => (rooms.includes(id) ? rooms : [...rooms, id]));
+    switchRoom(id);
+    setRoomInput("");
+  }
 
-    const mRef = push(ref(db, `rooms/${roomId}/messages`));
-    try {
-      await set(mRef, {
-        fromId: userIdRef.current,
-        fromName: name,
-        text: localText.trim(),
-        at: Date.now(),
-      });
-      setLocalText("");
-    } catch (err) {
-      console.error("sendMessage error:", err);
+  // leave room: unmounting its ChatRoom removes presence and listeners
+  function leaveRoom(id) {
+    clearOutbox(id);
+    if (userId) clearRoomIndex(userId, id).catch((err) => console.error("search index error:", err));
+    const rest = joinedRooms.filter((r) => r !== id);
+    setJoinedRooms(rest);
+    setUnread((u) => {
+      const next = { ...u };
+      delete next[id];
+      return next;
+    });
+    if (activeRoomId === id) {
+      navigate(rest.length ? `/r/${encodeURIComponent(rest[rest.length - 1])}` : "/", { replace: true });
     }
   }
 
-  // time string with short format
-  function timeStr(ts) {
-    if (!ts) return "-";
-    return new Date(ts).toLocaleTimeString([], {
-      hour: "2-digit",
-      minute: "2-digit",
-    });
+  // a moderator kicked or banned us: drop the room like a normal leave
+  function handleRemoved(id, reason) {
+    leaveRoom(id);
+    alert(reason === "banned" ? `You are banned from room ${id}.` : `A moderator removed you from room ${id}.`);
   }
 
-  // initials helper
-  function initialsFor(n) {
-    if (!n) return "?";
-    return n
-      .trim()
-      .split(" ")
-      .map((p) => p[0])
-      .slice(0, 2)
-      .join("")
-      .toUpperCase();
+  // each room reports how many messages are past its read pointer
+  function handleUnread(id, count) {
+    setUnread((u) => (u[id] === count ? u : { ...u, [id]: count }));
   }
 
   return (
@@ -219,152 +214,162 @@ export default function App() {
             id="displayName"
             className="gs-input gs-input--sm"
             value={name}
+            maxLength={MAX_NAME_LENGTH}
             onChange={(e) => setName(e.target.value)}
+            onBlur={(e) => saveName(e.target.value)}
             placeholder="Your display name"
             aria-label="Display name"
-            title="Your display name (only set on join)"
+            title="Your display name"
           />
 
+          <AccountPanel user={user} />
+
           <button
             type="button"
             className="gs-btn"
-            onClick={createRoom}
-            disabled={inRoom}
-            aria-disabled={inRoom}
+            onClick={() => createRoom()}
+            disabled={!user}
             title="Create new room"
           >
             Create
           </button>
 
-          <input
-            className="gs-input gs-input--sm"
-            value={roomId}
-            onChange={(e) => setRoomId(e.target.value)}
-            placeholder="room id"
-            aria-label="Room ID"
-          />
-          <button
-            type="button"
-            className="gs-btn"
-            onClick={() => joinRoom(roomId)}
-            disabled={inRoom || !roomId}
-            aria-disabled={inRoom || !roomId}
-          >
-            Join
-          </button>
-
-          <button
-            type="button"
-            className="gs-btn gs-btn--muted"
-            onClick={leaveRoom}
-            disabled={!inRoom}
-            aria-disabled={!inRoom}
-          >
-            Leave
-          </button>
-        </div>
-      </header>
-
-      <main className="gs-main" role="main">
-        <section
-          className="gs-chat"
-          aria-label={`Chat room ${roomId || "none"}`}
-        >
-          <div className="gs-chat-header">
-            <div className="gs-chat-title">
-              <strong>Chat</strong>
-              <span className="gs-mono"> {roomId ? `• ${roomId}` : ""}</span>
-            </div>
-            <div className="gs-chat-meta">
-              <div className="gs-part-count">{Object.keys(participants).length} online</div>
-            </div>
-          </div>
-
-          <div className="gs-chat-box" role="log" aria-relevant="additions">
-            {messages.length === 0 && (
-              <div className="gs-empty">No messages yet — be the first to say hi 👋</div>
-            )}
-
-            {messages.map((m) => {
-              const mine = m.fromId === userIdRef.current;
-              return (
-                <div
-                  key={m.id}
-                  className={`gs-msg-row ${mine ? "gs-msg-row--me" : "gs-msg-row--peer"}`}
-                >
-                  {!mine && (
-                    <div className="gs-avatar" aria-hidden="true">
-                      {initialsFor(m.fromName)}
-                    </div>
-                  )}
-
-                  <div className="gs-msg">
-                    <div className="gs-msg-meta">
-                      <span className="gs-msg-sender">{mine ? "You" : m.fromName}</span>
-                      <span className="gs-msg-time">{timeStr(m.at)}</span>
-                    </div>
-                    <div className="gs-msg-body">{m.text}</div>
-                  </div>
-
-                  {mine && <div className="gs-avatar gs-avatar--spacer" aria-hidden="true" />}
-                </div>
-              );
-            })}
-
-            <div ref={chatEndRef} />
-          </div>
-
           <form
-            className="gs-composer"
+            className="gs-join"
             onSubmit={(e) => {
               e.preventDefault();
-              sendMessage();
+              joinRoom(roomInput);
             }}
-            aria-label="Message composer"
           >
             <input
-              className="gs-input gs-input--composer"
-              value={localText}
-              onChange={(e) => setLocalText(e.target.value)}
-              placeholder={inRoom ? "Type a message…" : "Join a room to send messages"}
-              disabled={!inRoom}
-              aria-disabled={!inRoom}
+              className="gs-input gs-input--sm"
+              value={roomInput}
+              onChange={(e) => setRoomInput(e.target.value)}
+              placeholder="room id"
+              aria-label="Room ID"
             />
             <button
               type="submit"
-              className="gs-btn gs-btn--primary"
-              disabled={!inRoom || !localText.trim()}
-              aria-disabled={!inRoom || !localText.trim()}
+              className="gs-btn"
+              disabled={!roomInput.trim() || !user}
+              aria-disabled={!roomInput.trim() || !user}
             >
-              Send
+              Join
             </button>
           </form>
-        </section>
+        </div>
+      </header>
 
-        <aside className="gs-participants" aria-label="Participants">
+      <main className="gs-main" role="main">
+        <nav className="gs-rooms" aria-label="Joined rooms">
           <div className="gs-part-head">
-            <strong>Participants</strong>
-            <span className="gs-muted">({Object.keys(participants).length})</span>
+            <strong>Rooms</strong>
+            <span className="gs-muted">({joinedRooms.length})</span>
           </div>
 
-          <div className="gs-part-list">
-            {Object.keys(participants).length === 0 && (
-              <div className="gs-empty">No users online</div>
-            )}
-
-            <ul>
-              {Object.values(participants).map((p) => (
-                <li key={p.id} className="gs-part">
-                  <div className="gs-avatar">{initialsFor(p.name)}</div>
-                  <div className="gs-part-info">
-                    <div className="gs-part-name">{p.name}</div>
-                    <div className="gs-part-sub">{p.id === userIdRef.current ? "you" : "peer"}</div>
-                  </div>
-                </li>
-              ))}
-            </ul>
-          </div>
-        </aside>
+          {joinedRooms.length === 0 && (
+            <div className="gs-empty">Create or join a room</div>
+          )}
+
+          <ul>
+            {joinedRooms.map((id) => (
+              <li
+                key={id}
+                className={`gs-room-item ${id === activeRoomId ? "gs-room-item--active" : ""}`}
+              >
+                <button
+                  type="button"
+                  className="gs-room-link"
+                  onClick={() => switchRoom(id)}
+                  aria-current={id === activeRoomId ? "page" : undefined}
+                >
+                  <span className="gs-mono"># {id}</span>
+                  {unread[id] > 0 && (
+                    <span className="gs-badge" aria-label={`${unread[id]} unread`}>
+                      {unread[id] > 99 ? "99+" : unread[id]}
+                    </span>
+                  )}
+                </button>
+                <button
+                  type="button"
+                  className="gs-room-leave"
+                  onClick={() => leaveRoom(id)}
+                  title={`Leave ${id}`}
+                  aria-label={`Leave room ${id}`}
+                >
+                  ×
+                </button>
+              </li>
+            ))}
+          </ul>
+        </nav>
+
+        {!activeRoomId && (
+          <section className="gs-chat gs-lobby" aria-label="Lobby">
+            <div className="gs-chat-box">
+              <div className="gs-empty">
+                {joinedRooms.length
+                  ? "Pick a room on the left, or start a new one 👋"
+                  : "Create a room or join one by id to start chatting 👋"}
+              </div>
+              <div className="gs-lobby-actions">
+                <button type="button" className="gs-btn gs-btn--primary" onClick={() => createRoom()} disabled={!user}>
+                  Create a chat room
+                </button>
+                <button
+                  type="button"
+                  className="gs-btn gs-btn--muted"
+                  onClick={createEncryptedRoom}
+                  disabled={!user}
+                  title="Messages are encrypted with a passphrase only you and your invitees know"
+                >
+                  Create an encrypted room
+                </button>
+                <button
+                  type="button"
+                  className="gs-btn gs-btn--muted"
+                  onClick={startP2PRoom}
+                  title="Direct browser-to-browser chat over WebRTC"
+                >
+                  Start a peer-to-peer room
+                </button>
+                <label
+                  className="gs-btn gs-btn--muted"
+                  aria-disabled={!user}
+                  title="Restore a JSON transcript export into a new room"
+                >
+                  Import a transcript
+                  <input
+                    type="file"
+                    accept="application/json,.json"
+                    className="sr-only"
+                    disabled={!user}
+                    onChange={(e) => {
+                      const file = e.target.files[0];
+                      e.target.value = "";
+                      if (file) importRoom(file);
+                    }}
+                  />
+                </label>
+              </div>
+              <NewRoomForm disabled={!user} onCreate={createRoom} />
+              {userId && <RoomDirectory joinedRooms={joinedRooms} onJoin={joinRoom} />}
+            </div>
+          </section>
+        )}
+
+        {userId && joinedRooms.map((id) => (
+          <ChatRoom
+            key={id}
+            roomId={id}
+            userId={userId}
+            name={name}
+            active={id === activeRoomId}
+            onUnread={handleUnread}
+            onRename={rename}
+            onRemoved={handleRemoved}
+          />
+        ))}
       </main>
     </div>
   );
@@ -0,0 +1,1383 @@
+// src/ChatRoom.jsx
+import React, { useEffect, useLayoutEffect, useMemo, useRef, useState } from "react";
+import { chat } from "./chatService";
+import { toMessage, replyRefFor, timeStr, initialsFor } from "./messages";
+import ThreadPanel from "./ThreadPanel";
+import { useOutbox } from "./outbox";
+import { mentionsUser } from "./format";
+import MessageText from "./MessageText";
+import { parseCommand, matchCommands, runCommand } from "./commands";
+import { decryptText, encryptText, unlockRoom, rememberRoomKey, roomKeyFor, useDecryptedTexts } from "./roomCrypto";
+import { presenceOf, lastSeenLabel, usePresenceStatus, MAX_NAME_LENGTH } from "./presence";
+import { loadHistory, buildTranscript, toJson, toMarkdown, toHtml, downloadFile } from "./transcript";
+import { indexMessages, unindexMessage } from "./searchIndex";
+import SearchBox from "./SearchBox";
+import { createMessageStore } from "./messageStore";
+import { useVirtualList } from "./useVirtualList";
+
+// size of the live message window and of each older page fetched on scroll-back
+const LIVE_WINDOW = 200;
+const PAGE_SIZE = 50;
+// older messages loaded above a jump target so it isn't the first thing in the box
+const JUMP_CONTEXT = 10;
+
+// typing flags: write at most once per throttle window, clear after idle,
+// and ignore flags that were never cleared (e.g. a crashed tab)
+const TYPING_THROTTLE_MS = 2000;
+const TYPING_IDLE_MS = 4000;
+const TYPING_STALE_MS = 10000;
+
+// quick reactions offered in the picker
+const REACTION_EMOJI = ["👍", "❤️", "😂", "😮", "😢", "🎉"];
+
+// slow-mode intervals a moderator can pick (seconds; 0 is off) and the quick mute length
+const SLOW_MODE_OPTIONS = [0, 5, 10, 30, 60];
+const MUTE_MS = 5 * 60 * 1000;
+
+// display-name edits reach the participant entry after a pause in typing;
+// the clock ticks this often so "last seen" and stale connections stay current
+const RENAME_DEBOUNCE_MS = 600;
+const PRESENCE_TICK_MS = 30 * 1000;
+const PRESENCE_ORDER = { online: 0, away: 1, offline: 2 };
+
+// transcript downloads offered in the header
+const EXPORT_FORMATS = {
+  json: { label: "JSON", ext: "json", type: "application/json", render: toJson },
+  md: { label: "Markdown", ext: "md", type: "text/markdown", render: toMarkdown },
+  html: { label: "HTML", ext: "html", type: "text/html", render: toHtml },
+};
+
+// "X is typing…" line for up to three names
+function typingLabel(names) {
+  if (names.length === 0) return "";
+  if (names.length > 3) return "several people are typing…";
+  if (names.length === 1) return `${names[0]} is typing…`;
+  return `${names.slice(0, -1).join(", ")} and ${names[names.length - 1]} are typing…`;
+}
+
+// one joined room: owns its own messages, presence and listeners.
+// it stays mounted while joined so switching rooms tears nothing down.
+export default function ChatRoom({ roomId, userId, name, active, onUnread, onRename, onRemoved }) {
+  // messages we hold, indexed by id; bump the version after changing it
+  const [store] = useState(createMessageStore);
+  const [, setStoreVersion] = useState(0);
+  const [participants, setParticipants] = useState({});
+  const [localText, setLocalText] = useState("");
+  const [hasOlder, setHasOlder] = useState(true);
+  const [loadingOlder, setLoadingOlder] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [editText, setEditText] = useState("");
+  const [pickerFor, setPickerFor] = useState(null);
+  const [replyingTo, setReplyingTo] = useState(null);
+  const [threadRoot, setThreadRoot] = useState(null);
+  const [highlightId, setHighlightId] = useState(null);
+  const [topic, setTopic] = useState("");
+  const [notices, setNotices] = useState([]);
+  const [suggestIndex, setSuggestIndex] = useState(0);
+  const [typing, setTyping] = useState({});
+  const [typingNow, setTypingNow] = useState(0);
+  const [reads, setReads] = useState({});
+  const [readsLoaded, setReadsLoaded] = useState(false);
+  const [dividerAfter, setDividerAfter] = useState(null);
+  const [prevActive, setPrevActive] = useState(active);
+  // name used when joining; later changes go through the presence session
+  const [joinName] = useState(() => name.trim().slice(0, MAX_NAME_LENGTH));
+  // room meta; meta.encryption marks an end-to-end encrypted room
+  const [meta, setMeta] = useState(null);
+  const [roomKey, setRoomKey] = useState(() => roomKeyFor(roomId));
+  const [passphrase, setPassphrase] = useState("");
+  const [unlockError, setUnlockError] = useState("");
+  const [unlocking, setUnlocking] = useState(false);
+  // moderation lists ({ mods, mutes, bans }) and our own kick/ban/last-post state
+  const [moderation, setModeration] = useState({ mods: {}, mutes: {}, bans: {} });
+  const [standing, setStanding] = useState(null);
+  // wall clock for mute expiry and the slow-mode countdown
+  const [clock, setClock] = useState(() => Date.now());
+  // messages fetched so far while an export runs, null otherwise
+  const [exporting, setExporting] = useState(null);
+
+  const chatBoxRef = useRef(null);
+  const lastMsgIdRef = useRef(null);
+  const pendingJumpRef = useRef(null);
+  const highlightTimerRef = useRef(null);
+  const onUnreadRef = useRef(onUnread);
+  const onRemovedRef = useRef(onRemoved);
+  // id -> what we last wrote to the search index, so unchanged messages are skipped
+  const indexedRef = useRef(new Map());
+  const typingSentAtRef = useRef(0);
+  const typingIdleRef = useRef(null);
+  const sessionRef = useRef(null);
+  const sessionNameRef = useRef(joinName);
+  const presenceStatus = usePresenceStatus();
+
+  const outbox = useOutbox(roomId);
+  const { confirm: confirmOutbox } = outbox;
+
+  // oldest first. a new snapshot after every change to the store: everything
+  // derived from the messages is memoized on it, so renders that don't change
+  // them (typing, presence, scrolling) don't walk the whole list
+  const snapshot = store.snapshot();
+  const { messages } = snapshot;
+
+  // optimistic rows for queued messages the database hasn't echoed back yet
+  const pendingMessages = useMemo(
+    () =>
+      outbox.items
+        .filter((item) => snapshot.indexOf(item.id) < 0)
+        .map((item) => ({
+          ...item.data,
+          id: item.id,
+          editedAt: null,
+          deleted: false,
+          reactions: {},
+          replyTo: item.data.replyTo || null,
+          pending: item.status,
+        })),
+    [outbox.items, snapshot]
+  );
+  // local-only notices (command output/errors) are keyed like messages so they sort in
+  // place. the list merges these few rows into the store's by id; the history isn't copied
+  const extraRows = useMemo(
+    () =>
+      notices.length
+        ? [...pendingMessages, ...notices].sort((a, b) => (a.id < b.id ? -1 : 1))
+        : pendingMessages,
+    [pendingMessages, notices]
+  );
+  // only the rows around the viewport are mounted
+  const list = useVirtualList(chatBoxRef, snapshot, extraRows);
+  const { scrollToBottom } = list;
+  // our newest message, searched from the end
+  const lastOwnId = useMemo(() => {
+    const all = snapshot.messages;
+    for (let i = all.length - 1; i >= 0; i--) {
+      if (all[i].fromId === userId && !all[i].imported) return all[i].id;
+    }
+    return undefined;
+  }, [snapshot, userId]);
+  const lastSentId = pendingMessages.length ? null : lastOwnId;
+
+  // encrypted rooms: text is decrypted here and never stored in the clear.
+  // textOf() is undefined while decrypting and null when it can't be decrypted.
+  const encryption = meta && meta.encryption ? meta.encryption : null;
+  const payloads = useMemo(
+    () => [...snapshot.messages, ...pendingMessages].flatMap((m) => [m.enc, m.replyTo && m.replyTo.enc]),
+    [snapshot, pendingMessages]
+  );
+  const { textFor, remember } = useDecryptedTexts(roomKey, roomId, payloads);
+  const textOf = (m) => (m.enc ? textFor(m.enc) : m.text);
+  const quoteTextOf = (ref) => (ref.enc ? textFor(ref.enc) ?? "unable to decrypt" : ref.text);
+
+  // keep the latest callbacks without resubscribing listeners
+  useEffect(() => {
+    onUnreadRef.current = onUnread;
+    onRemovedRef.current = onRemoved;
+  });
+
+  // presence + room subscriptions for as long as the room is joined
+  useEffect(() => {
+    const cleanups = [];
+    let firstReads = true;
+
+    // presence: one connection entry under our participant, dropped by the backend if we disconnect
+    const session = chat.join(roomId, { id: userId, name: joinName });
+    sessionRef.current = session;
+    cleanups.push(() => {
+      session.leave();
+      sessionRef.current = null;
+    });
+
+    // subscribe participants
+    cleanups.push(
+      chat.watchParticipants(roomId, (val) => {
+        setParticipants(val);
+        setClock(Date.now());
+      })
+    );
+
+    // subscribe to latest messages (live window); older ones are paged in on scroll-back
+    cleanups.push(
+      chat.watchLatest(roomId, LIVE_WINDOW, (id, value) => {
+        const msg = toMessage(id, value);
+        if (!msg) return;
+        if (store.add([msg])) setStoreVersion((v) => v + 1);
+      })
+    );
+
+    // read pointers of everyone who has read the room; ours places the unread divider on return
+    cleanups.push(
+      chat.watchReads(roomId, (val) => {
+        setReads(val);
+        setReadsLoaded(true);
+        if (firstReads) {
+          firstReads = false;
+          setDividerAfter(val[userId] ? val[userId].key : null);
+        }
+      })
+    );
+
+    // room topic
+    cleanups.push(chat.watchTopic(roomId, setTopic));
+
+    // room meta (encryption)
+    cleanups.push(chat.watchMeta(roomId, setMeta));
+
+    // ensure room exists (create if removed; we own it then)
+    chat.ensureRoom(roomId, userId);
+
+    return () => cleanups.forEach((fn) => fn());
+  }, [roomId, userId, joinName, store]);
+
+  // away while the tab is hidden or idle
+  useEffect(() => {
+    if (sessionRef.current) sessionRef.current.setStatus(presenceStatus);
+  }, [presenceStatus, roomId, userId]);
+
+  // live renames from the display-name field
+  useEffect(() => {
+    const next = name.trim().slice(0, MAX_NAME_LENGTH);
+    if (!next || next === sessionNameRef.current) return;
+    const timer = setTimeout(() => {
+      if (!sessionRef.current) return;
+      sessionNameRef.current = next;
+      sessionRef.current.rename(next).catch((err) => console.error("rename error:", err));
+    }, RENAME_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [name]);
+
+  // keep "last seen" labels and stale connections current
+  useEffect(() => {
+    const timer = setInterval(() => setClock(Date.now()), PRESENCE_TICK_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  // moderation state; a kick newer than the one we joined with, or a ban, takes us out
+  useEffect(() => {
+    let joinedKick;
+    let removed = false;
+    const unsubModeration = chat.watchModeration(roomId, (val) => {
+      setModeration(val);
+      setClock(Date.now());
+    });
+    const unsubStanding = chat.watchStanding(roomId, userId, (val) => {
+      setStanding(val);
+      setClock(Date.now());
+      if (removed) return;
+      if (val.banned || (joinedKick !== undefined && val.kickedAt && val.kickedAt !== joinedKick)) {
+        removed = true;
+        if (onRemovedRef.current) onRemovedRef.current(roomId, val.banned ? "banned" : "kicked");
+        return;
+      }
+      joinedKick = val.kickedAt;
+    });
+
+    return () => {
+      unsubModeration();
+      unsubStanding();
+    };
+  }, [roomId, userId]);
+
+  // typing flags of everyone in the room; ours goes away with our presence
+  useEffect(() => {
+    const unsubTyping = chat.watchTyping(roomId, (val) => {
+      setTyping(val);
+      setTypingNow(Date.now());
+    });
+
+    return () => {
+      unsubTyping();
+      clearTimeout(typingIdleRef.current);
+    };
+  }, [roomId]);
+
+  // re-check for stale flags while someone appears to be typing
+  const typingActive = Object.keys(typing).some((id) => id !== userId);
+  useEffect(() => {
+    if (!typingActive) return;
+    const timer = setInterval(() => setTypingNow(Date.now()), TYPING_IDLE_MS);
+    return () => clearInterval(timer);
+  }, [typingActive]);
+
+  const typingNames = Object.entries(typing)
+    .filter(([id, t]) => id !== userId && t && typingNow - t.at < TYPING_STALE_MS)
+    .map(([, t]) => t.name || "Someone");
+
+  // unread = messages from others past our read pointer
+  const myReadKey = reads[userId] ? reads[userId].key : null;
+  // ids sort chronologically, so only the messages past the pointer are walked
+  const unreadCount = useMemo(() => {
+    if (!readsLoaded) return 0;
+    const all = snapshot.messages;
+    let count = 0;
+    for (let i = all.length - 1; i >= 0 && (!myReadKey || all[i].id > myReadKey); i--) {
+      if (all[i].fromId !== userId && !all[i].deleted) count++;
+    }
+    return count;
+  }, [snapshot, readsLoaded, myReadKey, userId]);
+  useEffect(() => {
+    if (onUnreadRef.current) onUnreadRef.current(roomId, unreadCount);
+  }, [roomId, unreadCount]);
+
+  // coming back to a room: put the divider where we stopped reading
+  if (active !== prevActive) {
+    setPrevActive(active);
+    if (!active) setDividerAfter(myReadKey);
+  }
+
+  // other readers, grouped under the last message each of them has seen
+  const seenBy = {};
+  Object.entries(reads).forEach(([id, r]) => {
+    if (id === userId || !r || !r.key) return;
+    (seenBy[r.key] = seenBy[r.key] || []).push(r.name || "Someone");
+  });
+
+  // first message from someone else past the divider pointer
+  const dividerId = useMemo(
+    () =>
+      dividerAfter
+        ? (snapshot.messages.find((m) => m.fromId !== userId && m.id > dividerAfter) || {}).id
+        : null,
+    [snapshot, userId, dividerAfter]
+  );
+
+  // advance our read pointer while the room is in view and scrolled to the bottom
+  useEffect(() => {
+    function markRead() {
+      const box = chatBoxRef.current;
+      const latest = snapshot.messages[snapshot.messages.length - 1];
+      if (!active || !readsLoaded || !box || !latest) return;
+      if (document.visibilityState !== "visible") return;
+      if (box.scrollHeight - box.scrollTop - box.clientHeight > 40) return;
+      if (myReadKey && latest.id <= myReadKey) return;
+      chat.setRead(roomId, userId, {
+        key: latest.id,
+        name,
+        at: Date.now(),
+      }).catch((err) => console.error("markRead error:", err));
+    }
+
+    markRead();
+    const box = chatBoxRef.current;
+    document.addEventListener("visibilitychange", markRead);
+    if (box) box.addEventListener("scroll", markRead, { passive: true });
+    return () => {
+      document.removeEventListener("visibilitychange", markRead);
+      if (box) box.removeEventListener("scroll", markRead);
+    };
+  }, [snapshot, active, readsLoaded, myReadKey, roomId, userId, name]);
+
+  // the list follows new rows while we're at the bottom; our own messages, notices
+  // and command output bring us down from anywhere
+  const lastRow = list.last;
+  const lastRowId = lastRow ? lastRow.id : null;
+  const lastRowOurs = !!lastRow && (lastRow.local || !!lastRow.pending || (lastRow.fromId === userId && !lastRow.imported));
+  useEffect(() => {
+    if (lastRowId === lastMsgIdRef.current) return;
+    lastMsgIdRef.current = lastRowId;
+    if (lastRowOurs) scrollToBottom();
+  }, [lastRowId, lastRowOurs, scrollToBottom]);
+
+  // hidden rooms lose their scroll position; land on the latest message when shown again
+  useLayoutEffect(() => {
+    if (active) scrollToBottom();
+  }, [active, scrollToBottom]);
+
+  // apply edits/tombstones/removals live to every message we currently hold.
+  // the query starts at the oldest loaded key so paged-in history is covered too.
+  const oldestId = messages.length ? messages[0].id : null;
+  useEffect(() => {
+    if (!oldestId) return;
+    return chat.watchChanges(roomId, oldestId, {
+      onChanged(id, value) {
+        const msg = toMessage(id, value);
+        if (msg && store.replace(msg)) setStoreVersion((v) => v + 1);
+      },
+      onRemoved(id) {
+        if (store.remove(id)) setStoreVersion((v) => v + 1);
+        indexedRef.current.delete(id);
+        unindexMessage(userId, roomId, id).catch((err) => console.error("search index error:", err));
+      },
+    });
+  }, [roomId, userId, oldestId, store]);
+
+  // every message we receive (new, older pages, edits, deletions) goes into the search index
+  useEffect(() => {
+    const indexed = indexedRef.current;
+    const changed = snapshot.messages.filter((m) => {
+      const signature = `${m.editedAt || m.at}:${m.deleted}:${m.fromName}`;
+      if (indexed.get(m.id) === signature) return false;
+      indexed.set(m.id, signature);
+      return true;
+    });
+    if (changed.length) {
+      indexMessages(userId, roomId, changed).catch((err) => console.error("search index error:", err));
+    }
+  }, [roomId, userId, snapshot]);
+
+  // queued messages the database now has are no longer pending
+  const echoedIds = outbox.items.filter((item) => store.has(item.id)).map((item) => item.id).join(",");
+  useEffect(() => {
+    if (echoedIds) confirmOutbox(echoedIds.split(","));
+  }, [echoedIds, confirmOutbox]);
+
+  // finish a jump once the target message has been loaded and rendered
+  useLayoutEffect(() => {
+    const id = pendingJumpRef.current;
+    if (!id || !store.has(id)) return;
+    pendingJumpRef.current = null;
+    revealMessage(id);
+  });
+
+  useEffect(() => () => clearTimeout(highlightTimerRef.current), []);
+
+  // load one page of messages older than the oldest one we have
+  async function loadOlder() {
+    if (!hasOlder || loadingOlder || messages.length === 0) return;
+
+    setLoadingOlder(true);
+    try {
+      const list = await chat.getMessages(roomId, { before: messages[0].id, limit: PAGE_SIZE });
+      const page = list.map((m) => toMessage(m.id, m.value)).filter(Boolean);
+
+      if (page.length < PAGE_SIZE) setHasOlder(false);
+      // the list keeps the rows in view where they are
+      if (store.add(page)) setStoreVersion((v) => v + 1);
+    } catch (err) {
+      console.error("loadOlder error:", err);
+    } finally {
+      setLoadingOlder(false);
+    }
+  }
+
+  // scroll a message into view and flash it; one outside the rendered window is
+  // scrolled to first and revealed once it has been rendered
+  function revealMessage(id) {
+    const box = chatBoxRef.current;
+    const el = box && box.querySelector(`[data-msg-id="${id}"]`);
+    if (!el) {
+      if (list.scrollToId(id)) pendingJumpRef.current = id;
+      return;
+    }
+    el.scrollIntoView({ behavior: "smooth", block: "center" });
+    setHighlightId(id);
+    clearTimeout(highlightTimerRef.current);
+    highlightTimerRef.current = setTimeout(() => setHighlightId(null), 2000);
+  }
+
+  // jump to any message, loading the history between it and what we hold (plus a
+  // little context above it) if needed. with nothing held before it (e.g. after
+  // /clear) only the page around it is loaded.
+  async function jumpToMessage(id) {
+    if (store.has(id)) {
+      revealMessage(id);
+      return;
+    }
+
+    const oldest = messages.length ? messages[0].id : null;
+    try {
+      const [list, context] = await Promise.all([
+        oldest && id < oldest
+          ? chat.getMessages(roomId, { from: id, before: oldest })
+          : chat.getMessages(roomId, { from: id, first: PAGE_SIZE }),
+        chat.getMessages(roomId, { before: id, limit: JUMP_CONTEXT }),
+      ]);
+      if (!list.length || list[0].id !== id) {
+        alert("That message is no longer available.");
+        return;
+      }
+      const page = [...context, ...list].map((m) => toMessage(m.id, m.value)).filter(Boolean);
+      pendingJumpRef.current = id;
+      // scroll-back continues above the context
+      setHasOlder(context.length === JUMP_CONTEXT);
+      if (store.add(page)) setStoreVersion((v) => v + 1);
+    } catch (err) {
+      console.error("jumpToMessage error:", err);
+    }
+  }
+
+  // trigger scroll-back paging when the chat box reaches the top
+  function onChatScroll(e) {
+    if (active && e.currentTarget.scrollTop <= 40) loadOlder();
+  }
+
+  // throttled typing flag, cleared once the composer goes idle
+  function noteTyping(text) {
+    clearTimeout(typingIdleRef.current);
+    if (!text.trim()) {
+      clearTyping();
+      return;
+    }
+
+    const now = Date.now();
+    if (now - typingSentAtRef.current >= TYPING_THROTTLE_MS) {
+      typingSentAtRef.current = now;
+      chat.setTyping(roomId, userId, { name, at: now }).catch(() => {});
+    }
+    typingIdleRef.current = setTimeout(clearTyping, TYPING_IDLE_MS);
+  }
+
+  function clearTyping() {
+    clearTimeout(typingIdleRef.current);
+    if (!typingSentAtRef.current) return;
+    typingSentAtRef.current = 0;
+    chat.setTyping(roomId, userId, null).catch(() => {});
+  }
+
+  // { text } for a normal room, { enc } for an encrypted one
+  async function sealText(text) {
+    if (!encryption) return { text };
+    if (!roomKey) throw new Error("this room is encrypted; unlock it first");
+    const enc = await encryptText(roomKey, roomId, text);
+    remember(enc, text);
+    return { enc };
+  }
+
+  // reply reference; the quoted snippet is encrypted like the message itself
+  async function replyRef(msg) {
+    const { text, ...rest } = replyRefFor({ ...msg, text: textOf(msg) || "" });
+    return { ...rest, ...(await sealText(text)) };
+  }
+
+  // queue a message, optionally quoting another one; the outbox shows it right away.
+  // kind "action" marks /me messages.
+  async function postMessage(text, { replyTo, kind } = {}) {
+    // until meta has loaded we can't know whether the room is encrypted
+    if (!meta) return false;
+    if (sendBlock) {
+      notify(sendBlock, "error");
+      return false;
+    }
+    const data = {
+      fromId: userId,
+      fromName: name,
+      ...(await sealText(text)),
+      at: Date.now(),
+    };
+    if (replyTo) data.replyTo = await replyRef(replyTo);
+    if (kind) data.kind = kind;
+    outbox.enqueue(data);
+    return true;
+  }
+
+  // show a message only on this screen
+  function notify(text, kind = "info") {
+    const id = chat.newMessageId(roomId);
+    setNotices((prev) => [...prev, { id, local: true, kind, text }]);
+  }
+
+  // what slash commands can do in this room
+  const commandContext = {
+    roomId,
+    name,
+    notify,
+    post: (text, opts) => postMessage(text, { ...opts, replyTo: replyingTo }),
+    async rename(next) {
+      sessionNameRef.current = next;
+      if (sessionRef.current) await sessionRef.current.rename(next);
+      if (onRename) onRename(next);
+    },
+    async setTopic(next) {
+      await chat.setTopic(roomId, next);
+      notify(next ? `Topic set to "${next}".` : "Topic cleared.");
+    },
+    async setTitle(next) {
+      await chat.updateMeta(roomId, { title: next || null });
+      notify(next ? `Title set to "${next}".` : "Title cleared.");
+    },
+    clearView() {
+      if (store.clear()) setStoreVersion((v) => v + 1);
+      setNotices([]);
+      setHasOlder(false);
+      setDividerAfter(null);
+    },
+    async copyInvite() {
+      const link = `${location.origin}/r/${encodeURIComponent(roomId)}`;
+      await navigator.clipboard.writeText(link);
+      return link;
+    },
+  };
+
+  // send message (or run a slash command; "//" sends a literal leading slash)
+  async function sendMessage() {
+    const text = localText.trim();
+    if (!text) return;
+
+    clearTyping();
+    const command = parseCommand(text);
+    if (command) {
+      if (!(await runCommand(command, commandContext))) return;
+    } else {
+      try {
+        if (!(await postMessage(text.startsWith("//") ? text.slice(1) : text, { replyTo: replyingTo }))) return;
+      } catch (err) {
+        notify(err.message || String(err), "error");
+        return;
+      }
+    }
+    setLocalText("");
+    setReplyingTo(null);
+    setSuggestIndex(0);
+  }
+
+  // command autocomplete while typing "/na…"
+  const suggestions = matchCommands(localText);
+
+  function completeCommand(command) {
+    setLocalText(`/${command.name} `);
+    setSuggestIndex(0);
+  }
+
+  function onComposerKeyDown(e) {
+    if (!suggestions.length) return;
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      setSuggestIndex((i) => (i + step + suggestions.length) % suggestions.length);
+    } else if (e.key === "Tab") {
+      e.preventDefault();
+      completeCommand(suggestions[Math.min(suggestIndex, suggestions.length - 1)]);
+    }
+  }
+
+  // toggle our reaction; each user owns one leaf per emoji, so concurrent reactions never collide
+  async function toggleReaction(msg, emoji) {
+    setPickerFor(null);
+    if (!msg || msg.deleted) return;
+    const reacted = !!(msg.reactions[emoji] && msg.reactions[emoji][userId]);
+    try {
+      await chat.updateMessage(roomId, msg.id, { [`reactions/${emoji}/${userId}`]: reacted ? null : name });
+    } catch (err) {
+      console.error("toggleReaction error:", err);
+    }
+  }
+
+  // only the sender may edit a message, and never a tombstone
+  function canModify(msg) {
+    return !!msg && !msg.deleted && !msg.pending && !msg.imported && msg.fromId === userId;
+  }
+
+  // moderators may also delete anyone's message
+  function canDelete(msg) {
+    return canModify(msg) || (!!msg && !msg.deleted && !msg.pending && isMod);
+  }
+
+  function startEdit(msg) {
+    if (!canModify(msg)) return;
+    const text = textOf(msg);
+    if (text == null) return;
+    setEditingId(msg.id);
+    setEditText(text);
+  }
+
+  function cancelEdit() {
+    setEditingId(null);
+    setEditText("");
+  }
+
+  // edit own message: keep the previous text in an edit history
+  async function saveEdit() {
+    const msg = store.get(editingId);
+    const text = editText.trim();
+    if (!canModify(msg) || !text) return;
+    if (text === textOf(msg)) return cancelEdit();
+
+    const historyKey = chat.newMessageId(roomId);
+    const now = Date.now();
+    const previous = msg.enc ? { enc: msg.enc } : { text: msg.text };
+    try {
+      await chat.updateMessage(roomId, msg.id, {
+        text: null,
+        enc: null,
+        ...(await sealText(text)),
+        editedAt: now,
+        [`edits/${historyKey}`]: { ...previous, at: msg.editedAt || msg.at },
+      });
+      cancelEdit();
+    } catch (err) {
+      console.error("saveEdit error:", err);
+    }
+  }
+
+  // delete a message: leave a tombstone so everyone sees "message deleted"
+  async function deleteMessage(msg) {
+    if (!canDelete(msg)) return;
+    const prompt = msg.fromId === userId ? "Delete this message?" : `Delete this message from ${msg.fromName}?`;
+    if (!window.confirm(prompt)) return;
+    try {
+      await chat.updateMessage(roomId, msg.id, {
+        text: null,
+        enc: null,
+        edits: null,
+        deleted: true,
+        deletedAt: Date.now(),
+      });
+      if (editingId === msg.id) cancelEdit();
+    } catch (err) {
+      console.error("deleteMessage error:", err);
+    }
+  }
+
+  // full history (not only the live window) as a downloaded file
+  async function exportTranscript(format) {
+    const target = EXPORT_FORMATS[format];
+    if (!target || exporting !== null) return;
+    setExporting(0);
+    try {
+      const entries = await loadHistory(roomId, { onProgress: setExporting });
+      const transcript = await buildTranscript({
+        roomId,
+        meta,
+        entries,
+        textOf: async (m) => {
+          if (!m.enc) return m.text;
+          if (!roomKey) return null;
+          return decryptText(roomKey, roomId, m.enc).catch(() => null);
+        },
+      });
+      const day = new Date().toISOString().slice(0, 10);
+      downloadFile(`${roomId}-${day}.${target.ext}`, target.type, target.render(transcript));
+      notify(`Exported ${transcript.messages.length} messages as ${target.label}.`);
+    } catch (err) {
+      console.error("export error:", err);
+      notify(`Export failed: ${err.message || err}`, "error");
+    } finally {
+      setExporting(null);
+    }
+  }
+
+  // derive the key and check it against the room's check value before using it
+  async function unlock() {
+    if (!encryption || !passphrase) return;
+    setUnlocking(true);
+    setUnlockError("");
+    try {
+      const key = await unlockRoom(roomId, passphrase, encryption);
+      if (!key) {
+        setUnlockError("That passphrase doesn't match this room.");
+        return;
+      }
+      rememberRoomKey(roomId, key);
+      setRoomKey(key);
+      setPassphrase("");
+    } catch (err) {
+      setUnlockError(`Couldn't unlock: ${err.message || err}`);
+    } finally {
+      setUnlocking(false);
+    }
+  }
+
+  // run a moderation action, reporting a refusal (e.g. from the database rules) locally
+  async function moderate(what, action) {
+    try {
+      await action();
+    } catch (err) {
+      console.error(`${what} error:`, err);
+      notify(`Couldn't ${what}: ${err.message || err}`, "error");
+    }
+  }
+
+  function kickUser(p) {
+    moderate("kick", () => chat.kick(roomId, p.id, userId));
+  }
+
+  function banUser(p) {
+    if (!window.confirm(`Ban ${p.name} from this room?`)) return;
+    moderate("ban", () => chat.ban(roomId, p.id, userId, p.name));
+  }
+
+  function toggleMute(p) {
+    moderate(muteOf(p.id) ? "unmute" : "mute", () =>
+      muteOf(p.id) ? chat.unmute(roomId, p.id) : chat.mute(roomId, p.id, userId, Date.now() + MUTE_MS)
+    );
+  }
+
+  const locked = !!encryption && !roomKey;
+
+  // ownership and moderation; rooms without an owner (older ones) have no moderators
+  const ownerId = meta && meta.ownerId ? meta.ownerId : null;
+  const isModerator = (id) => !!ownerId && (id === ownerId || !!moderation.mods[id]);
+  const isOwner = !!ownerId && ownerId === userId;
+  const isMod = isModerator(userId);
+  const muteOf = (id) => {
+    const mute = moderation.mutes[id];
+    return mute && (!mute.until || mute.until > clock) ? mute : null;
+  };
+  const myMute = muteOf(userId);
+  const roomLocked = !!(meta && meta.locked);
+  const slowMode = (meta && meta.slowMode) || 0;
+  const lastPostAt = standing ? standing.lastPostAt : null;
+  const slowWait =
+    slowMode && !isMod && lastPostAt ? Math.max(0, Math.ceil((lastPostAt + slowMode * 1000 - clock) / 1000)) : 0;
+
+  // why we can't post right now ("" when we can); slow mode only holds the send button
+  const composerBlock = locked
+    ? "Unlock the room to send messages"
+    : myMute
+    ? myMute.until
+      ? `You are muted until ${timeStr(myMute.until)}`
+      : "You are muted in this room"
+    : roomLocked && !isMod
+    ? "The room is locked — only moderators can post"
+    : "";
+  const sendBlock = composerBlock || (slowWait ? `Slow mode: you can post again in ${slowWait}s` : "");
+  const canSend = !!meta && !sendBlock;
+
+  // tick once a second while a mute expiry or slow-mode countdown is showing
+  const ticking = slowWait > 0 || !!(myMute && myMute.until);
+  useEffect(() => {
+    if (!ticking) return;
+    const timer = setInterval(() => setClock(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [ticking]);
+
+  const bans = Object.entries(moderation.bans);
+
+  // participants with their presence: online first, then away, then most recently seen
+  const people = Object.values(participants)
+    .filter((p) => p && p.id)
+    .map((p) => ({ ...p, presence: presenceOf(p, clock) }))
+    .sort(
+      (a, b) =>
+        PRESENCE_ORDER[a.presence.status] - PRESENCE_ORDER[b.presence.status] ||
+        (b.presence.lastSeen || 0) - (a.presence.lastSeen || 0)
+    );
+  const onlineCount = people.filter((p) => p.presence.status !== "offline").length;
+
+  // replies per message among what we hold, for the "thread" links
+  const replyCounts = useMemo(() => {
+    const counts = {};
+    snapshot.messages.forEach((m) => {
+      if (m.replyTo) counts[m.replyTo.id] = (counts[m.replyTo.id] || 0) + 1;
+    });
+    return counts;
+  }, [snapshot]);
+  const threadMsg = threadRoot
+    ? store.get(threadRoot.id) || threadRoot
+    : null;
+
+  return (
+    <div className={`gs-room ${threadMsg ? "gs-room--thread" : ""}`} hidden={!active}>
+      <section
+        className="gs-chat"
+        aria-label={`Chat room ${roomId}`}
+      >
+        <div className="gs-chat-header">
+          <div className="gs-chat-title">
+            <strong>{meta && meta.title ? meta.title : "Chat"}</strong>
+            <span className="gs-mono"> • {roomId}</span>
+            {encryption && (
+              <span className="gs-e2e" title="End-to-end encrypted: only people with the passphrase can read it">
+                🔒 encrypted
+              </span>
+            )}
+            {roomLocked && (
+              <span className="gs-room-flag" title="Only moderators can post">
+                locked
+              </span>
+            )}
+            {slowMode > 0 && (
+              <span className="gs-room-flag" title={`Everyone else can post once every ${slowMode}s`}>
+                slow mode {slowMode}s
+              </span>
+            )}
+            {topic && <div className="gs-topic" title={topic}>{topic}</div>}
+          </div>
+          <div className="gs-chat-meta">
+            {isMod && (
+              <div className="gs-mod-controls" aria-label="Room moderation">
+                <label className="gs-mod-toggle">
+                  <input
+                    type="checkbox"
+                    checked={roomLocked}
+                    onChange={(e) =>
+                      moderate("lock the room", () => chat.updateMeta(roomId, { locked: e.target.checked || null }))
+                    }
+                  />
+                  Lock
+                </label>
+                <select
+                  className="gs-input gs-input--sm"
+                  value={slowMode}
+                  onChange={(e) =>
+                    moderate("set slow mode", () =>
+                      chat.updateMeta(roomId, { slowMode: Number(e.target.value) || null })
+                    )
+                  }
+                  aria-label="Slow mode"
+                >
+                  {SLOW_MODE_OPTIONS.map((s) => (
+                    <option key={s} value={s}>
+                      {s ? `Slow: ${s}s` : "Slow mode off"}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+            <select
+              className="gs-input gs-input--sm"
+              value=""
+              onChange={(e) => exportTranscript(e.target.value)}
+              disabled={exporting !== null || !meta || locked}
+              aria-label="Export transcript"
+              title="Download the whole room history"
+            >
+              <option value="">{exporting !== null ? `Exporting… ${exporting}` : "Export…"}</option>
+              {Object.entries(EXPORT_FORMATS).map(([key, f]) => (
+                <option key={key} value={key}>
+                  {f.label}
+                </option>
+              ))}
+            </select>
+            <SearchBox roomId={roomId} userId={userId} onJump={jumpToMessage} />
+            <div className="gs-part-count">{onlineCount} online</div>
+          </div>
+        </div>
+
+        <div className="gs-typing" aria-live="polite">
+          {typingLabel(typingNames)}
+        </div>
+
+        <div className="gs-chat-scroll">
+          <div
+            className="gs-chat-box gs-chat-box--list"
+            role="log"
+            aria-relevant="additions"
+            ref={chatBoxRef}
+            onScroll={onChatScroll}
+          >
+            {messages.length > 0 && (
+              <div className="gs-history-status">
+                {loadingOlder
+                  ? "Loading older messages…"
+                  : hasOlder
+                  ? (
+                    <button type="button" className="gs-link-btn" onClick={loadOlder}>
+                      Load older messages
+                    </button>
+                  )
+                  : "Beginning of room history"}
+              </div>
+            )}
+
+            {list.count === 0 && (
+              <div className="gs-empty">No messages yet — be the first to say hi 👋</div>
+            )}
+
+            <div ref={list.startRef} style={{ height: list.padTop }} aria-hidden="true" />
+            {list.rows.map((m) => {
+              if (m.local) {
+                return (
+                  <div key={m.id} className="gs-row" data-row-id={m.id} ref={list.measure}>
+                    <div
+                      className={`gs-notice ${m.kind === "error" ? "gs-notice--error" : ""}`}
+                      role={m.kind === "error" ? "alert" : "status"}
+                    >
+                      {m.text}
+                    </div>
+                  </div>
+                );
+              }
+              const mine = m.fromId === userId && !m.imported;
+              const editing = editingId === m.id;
+              const text = textOf(m);
+              const mentioned = !mine && !m.deleted && !!text && mentionsUser(text, participants, userId);
+              return (
+                <div key={m.id} className="gs-row" data-row-id={m.id} ref={list.measure}>
+                  {m.id === dividerId && (
+                    <div className="gs-unread-divider" role="separator">
+                      <span>New messages</span>
+                    </div>
+                  )}
+                  <div
+                    className={`gs-msg-row ${mine ? "gs-msg-row--me" : "gs-msg-row--peer"} ${
+                      highlightId === m.id ? "gs-msg-row--highlight" : ""
+                    } ${mentioned ? "gs-msg-row--mention" : ""}`}
+                    data-msg-id={m.id}
+                  >
+                    {!mine && (
+                      <div className="gs-avatar" aria-hidden="true">
+                        {initialsFor(m.fromName)}
+                      </div>
+                    )}
+
+                    <div className="gs-msg">
+                      <div className="gs-msg-meta">
+                        <span className="gs-msg-sender">{mine ? "You" : m.fromName}</span>
+                        <span className="gs-msg-time">
+                          {timeStr(m.at)}
+                          {m.editedAt && !m.deleted && (
+                            <span className="gs-msg-edited" title={`Edited ${timeStr(m.editedAt)}`}>
+                              {" "}(edited)
+                            </span>
+                          )}
+                          {m.imported && (
+                            <span className="gs-msg-edited" title={`Imported; originally sent ${new Date(m.at).toLocaleString()}`}>
+                              {" "}(imported)
+                            </span>
+                          )}
+                        </span>
+                        {!m.deleted && !m.pending && !editing && (
+                          <span className="gs-msg-actions">
+                            <button type="button" className="gs-link-btn" onClick={() => setReplyingTo(m)}>
+                              Reply
+                            </button>
+                            <button type="button" className="gs-link-btn" onClick={() => setThreadRoot(m)}>
+                              {replyCounts[m.id] ? `Thread (${replyCounts[m.id]})` : "Thread"}
+                            </button>
+                            <button
+                              type="button"
+                              className="gs-link-btn"
+                              onClick={() => setPickerFor(pickerFor === m.id ? null : m.id)}
+                              aria-expanded={pickerFor === m.id}
+                              aria-label="Add reaction"
+                              title="React"
+                            >
+                              😊+
+                            </button>
+                          </span>
+                        )}
+                        {canDelete(m) && !editing && (
+                          <span className="gs-msg-actions">
+                            {canModify(m) && (
+                              <button type="button" className="gs-link-btn" onClick={() => startEdit(m)}>
+                                Edit
+                              </button>
+                            )}
+                            <button type="button" className="gs-link-btn" onClick={() => deleteMessage(m)}>
+                              Delete
+                            </button>
+                          </span>
+                        )}
+                      </div>
+
+                      {m.replyTo && (
+                        <button
+                          type="button"
+                          className="gs-quote"
+                          onClick={() => jumpToMessage(m.replyTo.id)}
+                          title="Jump to the original message"
+                        >
+                          <span className="gs-quote-sender">{m.replyTo.fromName}</span>
+                          <span className="gs-quote-text">{quoteTextOf(m.replyTo)}</span>
+                        </button>
+                      )}
+
+                      {m.deleted ? (
+                        <div className="gs-msg-body gs-msg-body--deleted">message deleted</div>
+                      ) : editing ? (
+                        <form
+                          className="gs-msg-edit"
+                          onSubmit={(e) => {
+                            e.preventDefault();
+                            saveEdit();
+                          }}
+                        >
+                          <input
+                            className="gs-input"
+                            value={editText}
+                            onChange={(e) => setEditText(e.target.value)}
+                            onKeyDown={(e) => e.key === "Escape" && cancelEdit()}
+                            aria-label="Edit message"
+                            autoFocus
+                          />
+                          <button type="submit" className="gs-btn gs-btn--primary" disabled={!editText.trim()}>
+                            Save
+                          </button>
+                          <button type="button" className="gs-btn gs-btn--muted" onClick={cancelEdit}>
+                            Cancel
+                          </button>
+                        </form>
+                      ) : text == null ? (
+                        <div className="gs-msg-body gs-msg-body--locked">
+                          {text === undefined ? "decrypting…" : "🔒 unable to decrypt"}
+                        </div>
+                      ) : (
+                        <div className={`gs-msg-body ${m.kind === "action" ? "gs-msg-body--action" : ""}`}>
+                          {m.kind === "action" && <span className="gs-action-name">* {m.fromName} </span>}
+                          <MessageText text={text} participants={participants} userId={userId} />
+                        </div>
+                      )}
+
+                      {pickerFor === m.id && (
+                        <div className="gs-reaction-picker" role="menu" aria-label="Pick a reaction">
+                          {REACTION_EMOJI.map((emoji) => (
+                            <button
+                              key={emoji}
+                              type="button"
+                              role="menuitem"
+                              className="gs-reaction-pick"
+                              onClick={() => toggleReaction(m, emoji)}
+                            >
+                              {emoji}
+                            </button>
+                          ))}
+                        </div>
+                      )}
+
+                      {Object.keys(m.reactions).length > 0 && (
+                        <div className="gs-reactions">
+                          {Object.entries(m.reactions).map(([emoji, users]) => {
+                            const names = Object.values(users || {});
+                            if (names.length === 0) return null;
+                            const reacted = !!(users && users[userId]);
+                            return (
+                              <button
+                                key={emoji}
+                                type="button"
+                                className={`gs-reaction ${reacted ? "gs-reaction--mine" : ""}`}
+                                onClick={() => toggleReaction(m, emoji)}
+                                title={`${names.join(", ")} reacted with ${emoji}`}
+                                aria-pressed={reacted}
+                              >
+                                <span>{emoji}</span>
+                                <span className="gs-reaction-count">{names.length}</span>
+                              </button>
+                            );
+                          })}
+                        </div>
+                      )}
+
+                      {m.pending === "sending" && (
+                        <div className="gs-msg-status">Sending…</div>
+                      )}
+                      {m.pending === "failed" && (
+                        <div className="gs-msg-status gs-msg-status--failed" role="alert">
+                          Failed to send ·{" "}
+                          <button type="button" className="gs-link-btn" onClick={() => outbox.retry(m.id)}>
+                            Retry
+                          </button>
+                          {" · "}
+                          <button type="button" className="gs-link-btn" onClick={() => outbox.discard(m.id)}>
+                            Discard
+                          </button>
+                        </div>
+                      )}
+                      {m.id === lastSentId && <div className="gs-msg-status">✓ Sent</div>}
+                    </div>
+
+                    {mine && <div className="gs-avatar gs-avatar--spacer" aria-hidden="true" />}
+                  </div>
+                  {seenBy[m.id] && (
+                    <div className={`gs-seen ${mine ? "gs-seen--me" : ""}`}>
+                      Seen by {seenBy[m.id].join(", ")}
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+            <div style={{ height: list.padBottom }} aria-hidden="true" />
+          </div>
+
+          {!list.atBottom && unreadCount > 0 && (
+            <button type="button" className="gs-new-below" onClick={scrollToBottom}>
+              {unreadCount} new message{unreadCount === 1 ? "" : "s"} ↓
+            </button>
+          )}
+        </div>
+
+        {replyingTo && (
+          <div className="gs-replying">
+            <button
+              type="button"
+              className="gs-quote"
+              onClick={() => jumpToMessage(replyingTo.id)}
+            >
+              <span className="gs-quote-sender">Replying to {replyingTo.fromName}</span>
+              <span className="gs-quote-text">{replyRefFor({ ...replyingTo, text: textOf(replyingTo) || "" }).text}</span>
+            </button>
+            <button
+              type="button"
+              className="gs-room-leave"
+              onClick={() => setReplyingTo(null)}
+              aria-label="Cancel reply"
+            >
+              ×
+            </button>
+          </div>
+        )}
+
+        {suggestions.length > 0 && (
+          <ul className="gs-suggest" role="listbox" aria-label="Commands">
+            {suggestions.map((c, i) => (
+              <li
+                key={c.name}
+                role="option"
+                aria-selected={i === suggestIndex}
+                className={`gs-suggest-item ${i === suggestIndex ? "gs-suggest-item--active" : ""}`}
+                onMouseDown={(e) => {
+                  e.preventDefault();
+                  completeCommand(c);
+                }}
+              >
+                <span className="gs-mono">{c.usage}</span>
+                <span className="gs-muted">{c.description}</span>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {locked && (
+          <form
+            className="gs-unlock"
+            onSubmit={(e) => {
+              e.preventDefault();
+              unlock();
+            }}
+          >
+            <span>🔒 This room is end-to-end encrypted. Enter its passphrase to read and send messages.</span>
+            <input
+              type="password"
+              className="gs-input gs-input--sm"
+              value={passphrase}
+              onChange={(e) => setPassphrase(e.target.value)}
+              placeholder="Passphrase"
+              aria-label="Room passphrase"
+            />
+            <button type="submit" className="gs-btn gs-btn--primary" disabled={!passphrase || unlocking}>
+              {unlocking ? "Unlocking…" : "Unlock"}
+            </button>
+            {unlockError && <span className="gs-unlock-error" role="alert">{unlockError}</span>}
+          </form>
+        )}
+
+        <form
+          className="gs-composer"
+          onSubmit={(e) => {
+            e.preventDefault();
+            sendMessage();
+          }}
+          aria-label="Message composer"
+        >
+          <input
+            className="gs-input gs-input--composer"
+            value={localText}
+            onChange={(e) => {
+              setLocalText(e.target.value);
+              setSuggestIndex(0);
+              if (!e.target.value.startsWith("/")) noteTyping(e.target.value);
+            }}
+            onKeyDown={onComposerKeyDown}
+            placeholder={composerBlock || "Type a message… (/ for commands)"}
+            disabled={!!composerBlock}
+          />
+          <button
+            type="submit"
+            className="gs-btn gs-btn--primary"
+            disabled={!localText.trim() || !canSend}
+            aria-disabled={!localText.trim() || !canSend}
+            title={slowWait ? `Slow mode: you can post again in ${slowWait}s` : undefined}
+          >
+            {slowWait ? `${slowWait}s` : "Send"}
+          </button>
+        </form>
+      </section>
+
+      {threadMsg && (
+        <ThreadPanel
+          roomId={roomId}
+          root={threadMsg}
+          userId={userId}
+          roomKey={roomKey}
+          onSend={(text, root) =>
+            postMessage(text, { replyTo: root }).catch((err) => {
+              notify(err.message || String(err), "error");
+              return false;
+            })
+          }
+          onJump={jumpToMessage}
+          onClose={() => setThreadRoot(null)}
+        />
+      )}
+
+      <aside className="gs-participants" aria-label="Participants">
+        <div className="gs-part-head">
+          <strong>Participants</strong>
+          <span className="gs-muted">
+            ({onlineCount}/{people.length})
+          </span>
+        </div>
+
+        <div className="gs-part-list">
+          {people.length === 0 && <div className="gs-empty">Nobody has joined yet</div>}
+
+          <ul>
+            {people.map((p) => (
+              <li key={p.id} className={`gs-part gs-part--${p.presence.status}`}>
+                <div className="gs-avatar gs-presence" data-status={p.presence.status}>
+                  {initialsFor(p.name)}
+                </div>
+                <div className="gs-part-info">
+                  <div className="gs-part-name">
+                    {p.name}
+                    {p.id === ownerId ? (
+                      <span className="gs-role">owner</span>
+                    ) : (
+                      isModerator(p.id) && <span className="gs-role">mod</span>
+                    )}
+                    {muteOf(p.id) && <span className="gs-role gs-role--muted">muted</span>}
+                  </div>
+                  <div className="gs-part-sub">
+                    {p.id === userId ? "you · " : ""}
+                    {p.presence.status}
+                    {p.presence.status !== "online" && p.presence.lastSeen
+                      ? ` · last seen ${lastSeenLabel(p.presence.lastSeen, clock)}`
+                      : ""}
+                  </div>
+                  {isMod && p.id !== userId && p.id !== ownerId && (
+                    <div className="gs-part-actions">
+                      <button type="button" className="gs-link-btn" onClick={() => kickUser(p)}>
+                        Kick
+                      </button>
+                      <button type="button" className="gs-link-btn" onClick={() => banUser(p)}>
+                        Ban
+                      </button>
+                      <button type="button" className="gs-link-btn" onClick={() => toggleMute(p)}>
+                        {muteOf(p.id) ? "Unmute" : "Mute 5m"}
+                      </button>
+                      {isOwner && (
+                        <button
+                          type="button"
+                          className="gs-link-btn"
+                          onClick={() =>
+                            moderate("change moderators", () =>
+                              chat.setModerator(roomId, p.id, !moderation.mods[p.id])
+                            )
+                          }
+                        >
+                          {moderation.mods[p.id] ? "Remove mod" : "Make mod"}
+                        </button>
+                      )}
+                    </div>
+                  )}
+                </div>
+              </li>
+            ))}
+          </ul>
+
+          {isMod && bans.length > 0 && (
+            <div className="gs-bans">
+              <strong>Banned</strong>
+              <ul>
+                {bans.map(([id, ban]) => (
+                  <li key={id} className="gs-part">
+                    <div className="gs-part-info">
+                      <div className="gs-part-name">{ban.name || id}</div>
+                      <div className="gs-part-sub">since {timeStr(ban.at)}</div>
+                    </div>
+                    <button
+                      type="button"
+                      className="gs-link-btn"
+                      onClick={() => moderate("unban", () => chat.unban(roomId, id))}
+                    >
+                      Unban
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      </aside>
+    </div>
+  );
+}
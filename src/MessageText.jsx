@@ -0,0 +1,46 @@
+// src/MessageText.jsx
+import React from "react";
+import { parseMessage } from "./format";
+
+function renderInline(nodes, userId) {
+  return nodes.map((n, i) => {
+    switch (n.type) {
+      case "bold":
+        return <strong key={i}>{renderInline(n.children, userId)}</strong>;
+      case "italic":
+        return <em key={i}>{renderInline(n.children, userId)}</em>;
+      case "code":
+        return <code key={i} className="gs-code">{n.text}</code>;
+      case "link":
+        return (
+          <a key={i} href={n.href} target="_blank" rel="noopener noreferrer">
+            {n.text}
+          </a>
+        );
+      case "mention":
+        return (
+          <span
+            key={i}
+            className={`gs-mention ${n.userId === userId ? "gs-mention--me" : ""}`}
+          >
+            @{n.name}
+          </span>
+        );
+      default:
+        return n.text;
+    }
+  });
+}
+
+// formatted message body; every piece of text goes through React's escaping
+export default function MessageText({ text, participants, userId }) {
+  return parseMessage(text, participants).map((block, i) =>
+    block.type === "codeblock" ? (
+      <pre key={i} className="gs-codeblock" data-lang={block.lang || undefined}>
+        <code>{block.text}</code>
+      </pre>
+    ) : (
+      <React.Fragment key={i}>{renderInline(block.children, userId)}</React.Fragment>
+    )
+  );
+}
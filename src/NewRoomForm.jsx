@@ -0,0 +1,74 @@
+// src/NewRoomForm.jsx
+import React, { useState } from "react";
+
+const MAX_TITLE_LENGTH = 80;
+const MAX_TOPIC_LENGTH = 200;
+
+// room details for the lobby's "create" form; everything is optional
+export default function NewRoomForm({ disabled, onCreate }) {
+  const [title, setTitle] = useState("");
+  const [topic, setTopic] = useState("");
+  const [listed, setListed] = useState(false);
+  const [password, setPassword] = useState("");
+  const [creating, setCreating] = useState(false);
+
+  async function submit() {
+    setCreating(true);
+    try {
+      await onCreate({ title: title.trim(), topic: topic.trim(), listed, password });
+      setTitle("");
+      setTopic("");
+      setPassword("");
+    } catch (err) {
+      console.error("createRoom error:", err);
+      alert(`Couldn't create the room: ${err.message || err}`);
+    } finally {
+      setCreating(false);
+    }
+  }
+
+  return (
+    <form
+      className="gs-new-room"
+      onSubmit={(e) => {
+        e.preventDefault();
+        submit();
+      }}
+      aria-label="New room"
+    >
+      <strong>New room</strong>
+      <input
+        className="gs-input gs-input--sm"
+        value={title}
+        onChange={(e) => setTitle(e.target.value)}
+        maxLength={MAX_TITLE_LENGTH}
+        placeholder="Title (optional)"
+        aria-label="Room title"
+      />
+      <input
+        className="gs-input gs-input--sm"
+        value={topic}
+        onChange={(e) => setTopic(e.target.value)}
+        maxLength={MAX_TOPIC_LENGTH}
+        placeholder="Topic (optional)"
+        aria-label="Room topic"
+      />
+      <input
+        type="password"
+        className="gs-input gs-input--sm"
+        value={password}
+        onChange={(e) => setPassword(e.target.value)}
+        placeholder="Join password (optional)"
+        aria-label="Join password"
+        autoComplete="new-password"
+      />
+      <label className="gs-mod-toggle">
+        <input type="checkbox" checked={listed} onChange={(e) => setListed(e.target.checked)} />
+        List in the lobby
+      </label>
+      <button type="submit" className="gs-btn gs-btn--primary" disabled={disabled || creating}>
+        {creating ? "Creating…" : "Create room"}
+      </button>
+    </form>
+  );
+}
@@ -1,160 +1,623 @@
 import React, { useEffect, useRef, useState } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
-import { getDatabase, ref, set, push, onValue, onChildAdded, remove } from 'firebase/database';
+import { useParams, useNavigate, Link } from 'react-router-dom';
 import { v4 as uuidv4 } from 'uuid';
-import { initializeApp } from 'firebase/app';
+import { createSignaling, signalingKind } from './signaling';
+import { getLocalMedia, getScreenTrack } from './media';
+import { RTC_CONFIG } from './iceServers';
+import { collectStats } from './peerStats';
+import { textFrame, controlFrame, parseFrame, createSender, sha256Hex, CHUNK_SIZE, MAX_FILE_SIZE, MAX_INCOMING_BYTES } from './fileTransfer';
+import './styles.css';
 
-// --- paste your firebase config here (or import from env) ---
-const firebaseConfig = {
-  apiKey: "YOUR_API_KEY",
-  authDomain: "YOUR_PROJECT.firebaseapp.com",
-  databaseURL: "https://YOUR_PROJECT.firebaseio.com",
-  projectId: "YOUR_PROJECT",
-  storageBucket: "YOUR_PROJECT.appspot.com",
-  messagingSenderId: "SENDER_ID",
-  appId: "APP_ID"
-};
+// full mesh: one RTCPeerConnection + DataChannel per remote peer, so keep groups small
+const MAX_PEERS = 6;
 
-const firebaseApp = initializeApp(firebaseConfig);
-const db = getDatabase(firebaseApp);
+// a "disconnected" link often recovers by itself; restart ICE only if it doesn't
+const DISCONNECT_GRACE_MS = 3000;
+const MAX_ICE_RESTARTS = 3;
+const STATS_INTERVAL_MS = 2000;
 
-const STUN = { iceServers: [{ urls: 'stun:stun.l.google.com:19302' }] };
+// signaling goes through a pluggable transport (see signaling.js); each pair
+// signals under pairs/{a}__{b} (ids sorted):
+//   descriptions/{push} = { from, type, sdp }  offers and answers, in order, either side
+//   callerCandidates / calleeCandidates        ICE candidates per role
+// adding or removing a track renegotiates through the same descriptions list
+// ("perfect negotiation": the callee is the polite side and yields on glare)
+function pairKey(a, b){ return a < b ? `${a}__${b}` : `${b}__${a}`; }
+
+function shortId(id){ return id.slice(0, 6); }
+
+function sizeStr(n){
+  if(n < 1024) return `${n} B`;
+  if(n < 1024 * 1024) return `${(n / 1024).toFixed(1)} KB`;
+  return `${(n / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function VideoTile({ stream, label, muted }){
+  const videoRef = useRef(null);
+  useEffect(()=>{
+    if(videoRef.current) videoRef.current.srcObject = stream;
+  }, [stream]);
+  const audioOnly = stream.getVideoTracks().length === 0;
+  return (
+    <figure className={`tile ${audioOnly ? 'audio-only' : ''}`}>
+      <video ref={videoRef} autoPlay playsInline muted={muted} />
+      <figcaption>{label}{audioOnly ? ' (audio)' : ''}</figcaption>
+    </figure>
+  );
+}
+
+const NO_MEDIA = { audio: false, video: false, muted: false, cameraOff: false, sharing: false };
 
 export default function Room(){
   const { roomId } = useParams();
   const navigate = useNavigate();
   const localId = useRef(uuidv4());
-  const pcRef = useRef(null);
-  const dcRef = useRef(null);
-  const [status, setStatus] = useState('idle'); // idle | creating | joining | connected
+  const signalingRef = useRef(null);
+  const peersRef = useRef(new Map()); // peerId -> { pc, dc, unsubs, pendingCandidates, senders }
+  const [status, setStatus] = useState('idle'); // idle | joining | waiting | full | failed
   const [log, setLog] = useState([]);
   const [messages, setMessages] = useState([]);
   const [text, setText] = useState('');
-  const [peersCount, setPeersCount] = useState(1); // min 1 (you)
+  const [openPeers, setOpenPeers] = useState([]); // peers with an open DataChannel
+  // fileId -> { id, name, size, mime, direction: in|out, bytes, status, url }
+  const [transfers, setTransfers] = useState({});
+  const sendersRef = useRef(new Map()); // fileId -> Map(peerId -> { sender, bytes })
+  const incomingRef = useRef(new Map()); // fileId -> { peerId, meta, chunks, received }
+  const urlsRef = useRef([]);
+  // call: the tracks we send ({ audio, video }), the camera/mic/screen behind them
+  const [media, setMedia] = useState(NO_MEDIA);
+  const [localStream, setLocalStream] = useState(null); // preview of what we send
+  const [remoteStreams, setRemoteStreams] = useState({}); // peerId -> MediaStream
+  const tracksRef = useRef({ audio: null, video: null });
+  const devicesRef = useRef({ mic: null, camera: null, screen: null });
+  const outStreamRef = useRef(null);
+  const [showStats, setShowStats] = useState(false);
+  const [stats, setStats] = useState({}); // peerId -> collectStats() summary
+  const peersCount = openPeers.length + 1; // you + connected peers
 
   useEffect(()=>{
     // when page loads, auto-join the roomId route
     if(!roomId) { navigate('/'); return; }
-    setLog(l => [...l, `Room ${roomId}`]);
-    // don't auto-create: detect offer presence to decide create/join
+    const me = localId.current;
+    const signaling = createSignaling(roomId);
+    signalingRef.current = signaling;
+    let cancelled = false;
+    let unsubPeers = null;
+    setLog(l => [...l, `Room ${roomId} as ${shortId(me)} (${signalingKind()} signaling)`]);
+
     (async ()=>{
-      const roomRef = ref(db, `rooms/${roomId}`);
-      const snapshot = await new Promise(res => onValue(roomRef, s => { res(s); }, { onlyOnce: true }));
-      const val = snapshot.val();
-      if(!val || !val.offer) {
-        // no offer -> we will be the caller (create room)
-        createAndWait();
-      } else {
-        // offer exists -> join as callee
-        joinExisting();
+      try {
+        setStatus('joining');
+        const existing = await signaling.listPeers();
+        if(cancelled) return;
+        if(Object.keys(existing).length >= MAX_PEERS){
+          setStatus('full');
+          appendLog(`Room is full (max ${MAX_PEERS} peers).`);
+          return;
+        }
+
+        // announce ourselves; the transport drops the entry if we disconnect
+        await signaling.announce(me);
+        if(cancelled) { signaling.withdraw(me).catch(()=>{}); return; }
+        setStatus('waiting');
+        appendLog(Object.keys(existing).length ? `Connecting to ${Object.keys(existing).length} peer(s)...` : 'Waiting for peers...');
+
+        unsubPeers = signaling.watchPeers(syncPeers);
+      } catch(err) {
+        if(cancelled) return;
+        setStatus('failed');
+        appendLog(`Joining failed: ${err.message || err}`);
       }
     })();
 
+    const urls = urlsRef.current;
     return () => {
-      leaveCleanup();
+      cancelled = true;
+      if(unsubPeers) unsubPeers();
+      leaveCleanup(signaling).finally(() => signaling.close());
+      urls.splice(0).forEach(u => URL.revokeObjectURL(u));
     };
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [roomId]);
 
+  // poll getStats() only while the diagnostics panel is open
+  useEffect(()=>{
+    if(!showStats) return;
+    let stopped = false;
+    async function poll(){
+      const next = {};
+      await Promise.all([...peersRef.current.entries()].map(async ([peerId, e]) => {
+        try { next[peerId] = await collectStats(e.pc); } catch { /* closed meanwhile */ }
+      }));
+      if(!stopped) setStats(next);
+    }
+    poll();
+    const timer = setInterval(poll, STATS_INTERVAL_MS);
+    return () => { stopped = true; clearInterval(timer); };
+  }, [showStats]);
+
   function appendLog(txt){ setLog(l => [...l, txt]); }
 
-  async function createAndWait(){
-    setStatus('creating');
-    appendLog('Creating room (caller)...');
-    const pc = new RTCPeerConnection(STUN);
-    pcRef.current = pc;
+  // connect to peers that appeared, drop the ones that left
+  function syncPeers(all){
+    const me = localId.current;
+    const peers = peersRef.current;
+    if(!all[me]) return;
+    Object.keys(all).forEach(id => {
+      if(id === me || peers.has(id)) return;
+      // the later joiner calls; ties are broken by id so exactly one side offers
+      const mine = all[me].joinedAt || 0, theirs = all[id].joinedAt || 0;
+      const amCaller = mine !== theirs ? mine > theirs : me > id;
+      connectPeer(id, amCaller);
+    });
+    [...peers.keys()].forEach(id => { if(!all[id]) dropPeer(id); });
+  }
 
-    // data channel
-    const dc = pc.createDataChannel('chat');
-    dcRef.current = dc;
-    setupDC(dc);
+  async function connectPeer(peerId, amCaller){
+    const me = localId.current;
+    const signaling = signalingRef.current;
+    const pair = pairKey(me, peerId);
+    const pc = new RTCPeerConnection(RTC_CONFIG);
+    const entry = { pc, dc: null, unsubs: [], pendingCandidates: [], senders: {}, restarts: 0, restartTimer: null };
+    peersRef.current.set(peerId, entry);
+    appendLog(`${amCaller ? 'Calling' : 'Answering'} ${shortId(peerId)}...`);
 
-    pc.onicecandidate = async (e) => {
+    const myCandidates = amCaller ? 'callerCandidates' : 'calleeCandidates';
+    const theirCandidates = amCaller ? 'calleeCandidates' : 'callerCandidates';
+    const polite = !amCaller;
+    let makingOffer = false;
+
+    pc.onicecandidate = (e) => {
       if(!e.candidate) return;
-      await push(ref(db, `rooms/${roomId}/callerCandidates`)).then(r=> set(r, e.candidate.toJSON()));
+      signaling.push(pair, myCandidates, e.candidate.toJSON()).catch(()=>{});
     };
-
     pc.onconnectionstatechange = () => {
-      appendLog('pc state: ' + pc.connectionState);
-      if(pc.connectionState === 'connected') setStatus('connected');
+      const state = pc.connectionState;
+      appendLog(`${shortId(peerId)}: ${state}`);
+      clearTimeout(entry.restartTimer);
+      if(state === 'connected') entry.restarts = 0;
+      else if(state === 'failed') restartIce(peerId, entry);
+      else if(state === 'disconnected') entry.restartTimer = setTimeout(() => restartIce(peerId, entry), DISCONNECT_GRACE_MS);
+    };
+    pc.ontrack = (e) => {
+      const stream = e.streams[0] || new MediaStream([e.track]);
+      stream.onremovetrack = () => setRemoteStreams(all => {
+        const next = { ...all };
+        if(stream.getTracks().length) next[peerId] = stream; else delete next[peerId];
+        return next;
+      });
+      setRemoteStreams(all => ({ ...all, [peerId]: stream }));
     };
 
-    const offer = await pc.createOffer();
-    await pc.setLocalDescription(offer);
-    await set(ref(db, `rooms/${roomId}/offer`), { type: offer.type, sdp: offer.sdp });
-    appendLog('Offer posted to firebase. Waiting for answer...');
-
-    // listen answer
-    onValue(ref(db, `rooms/${roomId}/answer`), async snap => {
-      const val = snap.val();
-      if(val && val.sdp){
-        await pc.setRemoteDescription({ type: val.type, sdp: val.sdp });
-        appendLog('Answer received and applied.');
+    // fires for the first offer (data channel / tracks) and every later track change
+    pc.onnegotiationneeded = async () => {
+      try {
+        makingOffer = true;
+        await pc.setLocalDescription();
+        const { type, sdp } = pc.localDescription;
+        await signaling.push(pair, 'descriptions', { from: me, type, sdp });
+      } catch(err) {
+        appendLog(`Negotiation with ${shortId(peerId)} failed: ${err.message || err}`);
+      } finally {
+        makingOffer = false;
       }
-    });
+    };
 
-    // listen callee ICE
-    onChildAdded(ref(db, `rooms/${roomId}/calleeCandidates`), snap => {
-      const c = snap.val(); if(c) pc.addIceCandidate(new RTCIceCandidate(c));
-    });
-  }
+    // candidates can arrive before the remote description; hold them until it is set
+    entry.unsubs.push(signaling.watch(pair, theirCandidates, c => {
+      if(pc.remoteDescription) pc.addIceCandidate(new RTCIceCandidate(c)).catch(()=>{});
+      else entry.pendingCandidates.push(c);
+    }));
 
-  async function joinExisting(){
-    setStatus('joining');
-    appendLog('Joining existing room (callee)...');
-    const pc = new RTCPeerConnection(STUN);
-    pcRef.current = pc;
+    entry.unsubs.push(signaling.watch(pair, 'descriptions', async desc => {
+      if(!desc.sdp || desc.from === me) return;
+      try {
+        const collision = desc.type === 'offer' && (makingOffer || pc.signalingState !== 'stable');
+        // the impolite side keeps its own offer; the polite side rolls back and answers
+        if(collision && !polite) return;
+        await pc.setRemoteDescription({ type: desc.type, sdp: desc.sdp });
+        entry.pendingCandidates.splice(0).forEach(c => pc.addIceCandidate(new RTCIceCandidate(c)).catch(()=>{}));
+        if(desc.type === 'offer'){
+          await pc.setLocalDescription();
+          const { type, sdp } = pc.localDescription;
+          await signaling.push(pair, 'descriptions', { from: me, type, sdp });
+        }
+      } catch(err) {
+        appendLog(`Signaling with ${shortId(peerId)} failed: ${err.message || err}`);
+      }
+    }));
 
-    pc.ondatachannel = (e) => { dcRef.current = e.channel; setupDC(e.channel); };
-    pc.onicecandidate = async (e) => {
-      if(!e.candidate) return;
-      await push(ref(db, `rooms/${roomId}/calleeCandidates`)).then(r=> set(r, e.candidate.toJSON()));
-    };
-    pc.onconnectionstatechange = () => {
-      appendLog('pc state: ' + pc.connectionState);
-      if(pc.connectionState === 'connected') setStatus('connected');
-    };
+    // whatever we're already sending goes to the new peer too
+    ['audio', 'video'].forEach(kind => sendTrack(entry, kind, tracksRef.current[kind]));
+    if(amCaller) setupDC(peerId, entry, pc.createDataChannel('chat'));
+    else pc.ondatachannel = (e) => setupDC(peerId, entry, e.channel);
+  }
 
-    // fetch offer once
-    onValue(ref(db, `rooms/${roomId}/offer`), async snap => {
-      const o = snap.val(); if(!o || !o.sdp) return;
-      await pc.setRemoteDescription({ type: o.type, sdp: o.sdp });
-      const answer = await pc.createAnswer();
-      await pc.setLocalDescription(answer);
-      await set(ref(db, `rooms/${roomId}/answer`), { type: answer.type, sdp: answer.sdp });
-      appendLog('Answer created and written.');
-    });
+  // new ICE credentials renegotiate through the descriptions list like any other change
+  function restartIce(peerId, entry){
+    if(peersRef.current.get(peerId) !== entry) return;
+    const state = entry.pc.connectionState;
+    if(state !== 'disconnected' && state !== 'failed') return;
+    if(entry.restarts >= MAX_ICE_RESTARTS){
+      appendLog(`${shortId(peerId)}: giving up after ${MAX_ICE_RESTARTS} ICE restarts`);
+      return;
+    }
+    entry.restarts += 1;
+    appendLog(`${shortId(peerId)}: restarting ICE (attempt ${entry.restarts})`);
+    entry.pc.restartIce();
+  }
 
-    // listen caller ICE
-    onChildAdded(ref(db, `rooms/${roomId}/callerCandidates`), snap => {
-      const c = snap.val(); if(c) pc.addIceCandidate(new RTCIceCandidate(c));
+  // tear down one peer connection and its signaling
+  function dropPeer(peerId){
+    const entry = peersRef.current.get(peerId);
+    if(!entry) return;
+    peersRef.current.delete(peerId);
+    clearTimeout(entry.restartTimer);
+    entry.unsubs.forEach(fn => fn());
+    if(entry.dc) entry.dc.close();
+    entry.pc.close();
+    setOpenPeers(p => p.filter(id => id !== peerId));
+    setRemoteStreams(all => {
+      const next = { ...all };
+      delete next[peerId];
+      return next;
     });
+    failTransfersWith(peerId);
+    signalingRef.current.removePair(pairKey(localId.current, peerId)).catch(()=>{});
+    appendLog(`${shortId(peerId)} left`);
   }
 
-  function setupDC(dc){
+  function setupDC(peerId, entry, dc){
+    entry.dc = dc;
+    dc.binaryType = 'arraybuffer';
     dc.onopen = () => {
-      appendLog('DataChannel open');
-      setStatus('connected');
+      appendLog(`DataChannel open with ${shortId(peerId)}`);
+      setOpenPeers(p => p.includes(peerId) ? p : [...p, peerId]);
     };
     dc.onmessage = (evt) => {
-      setMessages(m => [...m, { from: 'peer', text: evt.data }]);
+      let frame;
+      try {
+        frame = parseFrame(evt.data);
+      } catch(err) {
+        // a broken chunk ends its transfer; without an id, everything this peer is sending us
+        if(err.fileId) abortIncoming(err.fileId, err.message);
+        else incomingRef.current.forEach((entry, id) => { if(entry.peerId === peerId) abortIncoming(id, err.message); });
+        return;
+      }
+      if(!frame){
+        appendLog(`Dropped a malformed message from ${shortId(peerId)}`);
+        return;
+      }
+      handleFrame(peerId, frame);
+    };
+    dc.onclose = () => {
+      appendLog(`DataChannel closed with ${shortId(peerId)}`);
+      setOpenPeers(p => p.filter(id => id !== peerId));
     };
-    dc.onclose = () => appendLog('DataChannel closed');
   }
 
+  // broadcast to every open channel
   function send(){
-    if(!dcRef.current || dcRef.current.readyState!=='open'){ appendLog('Datachannel not open'); return; }
-    dcRef.current.send(text);
+    const open = [...peersRef.current.values()].filter(e => e.dc && e.dc.readyState === 'open');
+    if(!open.length){ appendLog('No open DataChannel'); return; }
+    if(!text.trim()) return;
+    open.forEach(e => e.dc.send(textFrame(text)));
     setMessages(m => [...m, { from: 'me', text }]);
     setText('');
   }
 
-  async function leaveCleanup(){
+  function patchTransfer(id, patch){
+    setTransfers(t => t[id] ? { ...t, [id]: { ...t[id], ...patch } } : t);
+  }
+
+  function objectUrl(blob){
+    const url = URL.createObjectURL(blob);
+    urlsRef.current.push(url);
+    return url;
+  }
+
+  function handleFrame(peerId, frame){
+    switch(frame.t){
+      case 'text':
+        setMessages(m => [...m, { from: shortId(peerId), text: frame.text }]);
+        break;
+      case 'file-meta': {
+        if(!frame.id || incomingRef.current.has(frame.id)) return;
+        // the sender checks the size too, but a peer can announce anything
+        const buffered = [...incomingRef.current.values()].reduce((sum, e) => sum + e.meta.size, 0);
+        if(!Number.isSafeInteger(frame.size) || frame.size < 0 || frame.size > MAX_FILE_SIZE
+          || buffered + frame.size > MAX_INCOMING_BYTES){
+          sendControl(peerId, { t: 'file-cancel', id: frame.id });
+          appendLog(`Refused ${frame.name || 'a file'} from ${shortId(peerId)}: over the ${sizeStr(MAX_FILE_SIZE)} limit or too much incoming at once`);
+          return;
+        }
+        incomingRef.current.set(frame.id, { peerId, meta: frame, chunks: [], received: 0 });
+        setTransfers(t => ({ ...t, [frame.id]: {
+          id: frame.id, name: frame.name, size: frame.size, mime: frame.mime,
+          direction: 'in', bytes: 0, status: 'receiving', url: null,
+        } }));
+        setMessages(m => [...m, { from: shortId(peerId), fileId: frame.id }]);
+        if(frame.size === 0) finishIncoming(frame.id);
+        break;
+      }
+      case 'file-chunk':
+        receiveChunk(frame);
+        break;
+      case 'file-cancel': {
+        // the receiver dropped one of our files, or the sender cancelled one of theirs
+        const senders = sendersRef.current.get(frame.id);
+        if(senders && senders.has(peerId)){
+          senders.get(peerId).sender.pause();
+          senders.delete(peerId);
+          if(!senders.size) patchTransfer(frame.id, { status: 'cancelled' });
+        }
+        const incoming = incomingRef.current.get(frame.id);
+        if(incoming && incoming.peerId === peerId){
+          incomingRef.current.delete(frame.id);
+          patchTransfer(frame.id, { status: 'cancelled' });
+        }
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  function receiveChunk({ id, offset, payload }){
+    const entry = incomingRef.current.get(id);
+    // chunks arrive in order on a reliable channel; anything else is a stale frame
+    if(!entry || offset !== entry.received) return;
+    // never buffer past the size that was announced
+    if(entry.received + payload.byteLength > entry.meta.size){
+      abortIncoming(id, 'more data than announced');
+      return;
+    }
+    entry.chunks.push(payload);
+    entry.received += payload.byteLength;
+    const step = Math.max(1, Math.floor(entry.meta.size / 100));
+    if(entry.received >= entry.meta.size) finishIncoming(id);
+    else if(entry.received % step < payload.byteLength) patchTransfer(id, { bytes: entry.received });
+  }
+
+  // assemble + verify; only files whose SHA-256 matches are offered
+  async function finishIncoming(id){
+    const entry = incomingRef.current.get(id);
+    if(!entry) return;
+    incomingRef.current.delete(id);
+    patchTransfer(id, { bytes: entry.received, status: 'verifying' });
+    let blob, hash;
     try {
-      if(pcRef.current) pcRef.current.close();
-      // optional: remove room entry to cleanup (careful in public)
-      await remove(ref(db, `rooms/${roomId}`));
-    } catch(e){}
+      blob = new Blob(entry.chunks, { type: entry.meta.mime || 'application/octet-stream' });
+      hash = await sha256Hex(blob);
+    } catch(err) {
+      patchTransfer(id, { status: 'failed' });
+      appendLog(`${entry.meta.name}: could not verify (${err.message || err}), discarded`);
+      return;
+    }
+    if(hash !== entry.meta.sha256){
+      patchTransfer(id, { status: 'corrupt' });
+      appendLog(`${entry.meta.name}: checksum mismatch, discarded`);
+      return;
+    }
+    patchTransfer(id, { status: 'verified', url: objectUrl(blob) });
+  }
+
+  function sendControl(peerId, frame){
+    const entry = peersRef.current.get(peerId);
+    if(entry && entry.dc && entry.dc.readyState === 'open') entry.dc.send(controlFrame(frame));
+  }
+
+  // stop receiving one file: tell the sender and mark it failed
+  function abortIncoming(id, reason){
+    const incoming = incomingRef.current.get(id);
+    if(!incoming) return;
+    incomingRef.current.delete(id);
+    sendControl(incoming.peerId, { t: 'file-cancel', id });
+    patchTransfer(id, { status: 'failed' });
+    appendLog(`${incoming.meta.name}: ${reason}, transfer aborted`);
+  }
+
+  // a peer dropped: whatever we were exchanging with it can't complete
+  function failTransfersWith(peerId){
+    incomingRef.current.forEach((entry, id) => {
+      if(entry.peerId !== peerId) return;
+      incomingRef.current.delete(id);
+      patchTransfer(id, { status: 'failed' });
+    });
+    sendersRef.current.forEach((senders, id) => {
+      if(!senders.delete(peerId)) return;
+      if(!senders.size) patchTransfer(id, { status: 'failed' });
+    });
+  }
+
+  // offer a file to every open channel
+  async function sendFile(file){
+    const open = [...peersRef.current.entries()].filter(([, e]) => e.dc && e.dc.readyState === 'open');
+    if(!open.length){ appendLog('No open DataChannel'); return; }
+    if(file.size > MAX_FILE_SIZE){ appendLog(`${file.name} is larger than ${sizeStr(MAX_FILE_SIZE)}`); return; }
+
+    const id = uuidv4();
+    const sha256 = await sha256Hex(file);
+    const meta = { t: 'file-meta', id, name: file.name, size: file.size, mime: file.type, sha256 };
+    setTransfers(t => ({ ...t, [id]: {
+      id, name: file.name, size: file.size, mime: file.type,
+      direction: 'out', bytes: 0, status: 'sending', url: objectUrl(file),
+    } }));
+    setMessages(m => [...m, { from: 'me', fileId: id }]);
+
+    const senders = new Map();
+    sendersRef.current.set(id, senders);
+    // overall progress is the slowest peer
+    const progress = () => patchTransfer(id, {
+      bytes: Math.min(...[...senders.values()].map(s => s.bytes)),
+    });
+    open.forEach(([peerId, e]) => {
+      const slot = { bytes: 0, sender: null };
+      slot.sender = createSender(e.dc, file, id, {
+        onProgress: (bytes) => {
+          slot.bytes = bytes;
+          if(bytes === file.size || bytes % (16 * CHUNK_SIZE) === 0) progress();
+        },
+        onDone: (err) => {
+          if(err){
+            appendLog(`${file.name} to ${shortId(peerId)} failed: ${err.message}`);
+            senders.delete(peerId);
+            if(!senders.size) patchTransfer(id, { status: 'failed' });
+            return;
+          }
+          progress();
+          if([...senders.values()].every(s => s.bytes >= file.size)) patchTransfer(id, { status: 'sent' });
+        },
+      });
+      senders.set(peerId, slot);
+      e.dc.send(controlFrame(meta));
+      slot.sender.start();
+    });
+  }
+
+  function pauseFile(id, paused){
+    const senders = sendersRef.current.get(id);
+    if(!senders) return;
+    senders.forEach(s => paused ? s.sender.pause() : s.sender.resume());
+    patchTransfer(id, { status: paused ? 'paused' : 'sending' });
+  }
+
+  function cancelFile(id){
+    const senders = sendersRef.current.get(id);
+    if(senders){
+      senders.forEach(s => s.sender.cancel());
+      sendersRef.current.delete(id);
+    }
+    const incoming = incomingRef.current.get(id);
+    if(incoming){
+      sendControl(incoming.peerId, { t: 'file-cancel', id });
+      incomingRef.current.delete(id);
+    }
+    patchTransfer(id, { status: 'cancelled' });
+  }
+
+  // --- call ---
+
+  function outStream(){
+    if(!outStreamRef.current) outStreamRef.current = new MediaStream();
+    return outStreamRef.current;
+  }
+
+  // replacing a track needs no renegotiation; adding or removing one does
+  function sendTrack(entry, kind, track){
+    const sender = entry.senders[kind];
+    if(sender && track) sender.replaceTrack(track).catch(()=>{});
+    else if(sender){
+      entry.pc.removeTrack(sender);
+      delete entry.senders[kind];
+    } else if(track) entry.senders[kind] = entry.pc.addTrack(track, outStream());
+  }
+
+  function publish(kind, track){
+    tracksRef.current[kind] = track;
+    peersRef.current.forEach(entry => sendTrack(entry, kind, track));
+    const { audio, video } = tracksRef.current;
+    setLocalStream(audio || video ? new MediaStream([audio, video].filter(Boolean)) : null);
+  }
+
+  async function startMedia(withVideo){
+    try {
+      const stream = await getLocalMedia({ audio: true, video: withVideo });
+      const devices = devicesRef.current;
+      devices.mic = stream.getAudioTracks()[0] || null;
+      devices.camera = stream.getVideoTracks()[0] || null;
+      publish('audio', devices.mic);
+      if(!devices.screen) publish('video', devices.camera);
+      setMedia(m => ({ ...m, audio: !!devices.mic, video: !!devices.camera, muted: false, cameraOff: false }));
+    } catch(err) {
+      appendLog(`Media unavailable: ${err.message || err}`);
+    }
+  }
+
+  function toggleMute(){
+    const mic = devicesRef.current.mic;
+    if(!mic) return;
+    mic.enabled = !mic.enabled;
+    setMedia(m => ({ ...m, muted: !mic.enabled }));
+  }
+
+  function toggleCamera(){
+    const camera = devicesRef.current.camera;
+    if(!camera) return;
+    camera.enabled = !camera.enabled;
+    setMedia(m => ({ ...m, cameraOff: !camera.enabled }));
+  }
+
+  async function toggleShare(){
+    if(devicesRef.current.screen){ stopShare(); return; }
+    try {
+      const screen = await getScreenTrack();
+      devicesRef.current.screen = screen;
+      screen.onended = stopShare; // browser's own "stop sharing" button
+      publish('video', screen);
+      setMedia(m => ({ ...m, sharing: true }));
+    } catch(err) {
+      appendLog(`Screen share unavailable: ${err.message || err}`);
+    }
+  }
+
+  function stopShare(){
+    const devices = devicesRef.current;
+    if(!devices.screen) return;
+    devices.screen.stop();
+    devices.screen = null;
+    publish('video', devices.camera);
+    setMedia(m => ({ ...m, sharing: false }));
+  }
+
+  function stopDevices(){
+    const devices = devicesRef.current;
+    Object.keys(devices).forEach(k => {
+      if(devices[k]) devices[k].stop();
+      devices[k] = null;
+    });
+  }
+
+  function hangUp(){
+    stopDevices();
+    publish('audio', null);
+    publish('video', null);
+    setMedia(NO_MEDIA);
+  }
+
+  // close every connection and remove only our own entries; other peers may still be here
+  async function leaveCleanup(signaling){
+    stopDevices();
+    [...peersRef.current.keys()].forEach(dropPeer);
+    try {
+      await signaling.withdraw(localId.current);
+    } catch(err) {
+      console.error('leaveCleanup error:', err);
+    }
+  }
+
+  function renderFile(t){
+    if(!t) return null;
+    const active = t.status === 'sending' || t.status === 'paused' || t.status === 'receiving';
+    return (
+      <div className="text file">
+        <div className="file-name">{t.name} <small>({sizeStr(t.size)})</small></div>
+        {active && <progress max={t.size || 1} value={t.bytes} />}
+        <small className={`file-status ${t.status}`}>{t.status}</small>
+        {t.url && t.mime && t.mime.startsWith('image/') && <img className="file-preview" src={t.url} alt={t.name} />}
+        {t.url && t.direction === 'in' && <a href={t.url} download={t.name}>Download</a>}
+        {active && (
+          <div className="file-actions">
+            {t.direction === 'out' && (
+              <button className="btn muted" onClick={()=>pauseFile(t.id, t.status !== 'paused')}>
+                {t.status === 'paused' ? 'Resume' : 'Pause'}
+              </button>
+            )}
+            <button className="btn muted" onClick={()=>cancelFile(t.id)}>Cancel</button>
+          </div>
+        )}
+      </div>
+    );
   }
 
   function copyLink(){
@@ -163,43 +626,103 @@ export default function Room(){
   }
 
   return (
-    <div className="room-card card">
-      <div className="room-header">
-        <div>
-          <h2>Room: <span className="room-id">{roomId}</span></h2>
-          <div className="meta">
-            <span className={`status ${status}`}>{status}</span>
-            <span className="peers">participants: {peersCount}</span>
+    <div className="app">
+      <nav className="topnav">
+        <Link className="brand" to="/">GoatSloth</Link>
+        <span className="meta">peer-to-peer room</span>
+      </nav>
+      <main className="container">
+        <div className="room-card card">
+          <div className="room-header">
+            <div>
+              <h2>Room: <span className="room-id">{roomId}</span></h2>
+              <div className="meta">
+                <span className={`status ${openPeers.length ? 'connected' : status}`}>{openPeers.length ? 'connected' : status}</span>
+                <span className="peers">participants: {peersCount}</span>
+              </div>
+            </div>
+
+            <div className="room-actions">
+              <button className="btn" onClick={copyLink}>Copy link</button>
+              <button className="btn muted" onClick={()=>navigate('/')}>Leave</button>
+            </div>
           </div>
-        </div>
 
-        <div className="room-actions">
-          <button className="btn" onClick={copyLink}>Copy link</button>
-          <button className="btn muted" onClick={()=>navigate('/')}>Leave</button>
-        </div>
-      </div>
+          <div className="call">
+            <div className="call-controls">
+              {!media.audio && !media.video && <>
+                <button className="btn muted" onClick={()=>startMedia(false)}>Join with mic</button>
+                <button className="btn muted" onClick={()=>startMedia(true)}>Join with camera</button>
+              </>}
+              {media.audio && <button className="btn muted" onClick={toggleMute}>{media.muted ? 'Unmute' : 'Mute'}</button>}
+              {media.video && <button className="btn muted" onClick={toggleCamera}>{media.cameraOff ? 'Camera on' : 'Camera off'}</button>}
+              <button className="btn muted" onClick={toggleShare}>{media.sharing ? 'Stop sharing' : 'Share screen'}</button>
+              {(media.audio || media.video || media.sharing) && <button className="btn muted" onClick={hangUp}>Hang up</button>}
+            </div>
+            {(localStream || Object.keys(remoteStreams).length > 0) && (
+              <div className="tiles">
+                {localStream && <VideoTile stream={localStream} label="you" muted />}
+                {Object.entries(remoteStreams).map(([peerId, stream])=>(
+                  <VideoTile key={peerId} stream={stream} label={shortId(peerId)} />
+                ))}
+              </div>
+            )}
+          </div>
 
-      <div className="chat-area">
-        <div className="messages">
-          {messages.length===0 && <div className="hint">No messages yet. Wait for peer or type and send once connected.</div>}
-          {messages.map((m,i)=>(
-            <div key={i} className={`msg ${m.from==='me' ? 'me' : 'peer'}`}>
-              <small className="from">{m.from}</small>
-              <div className="text">{m.text}</div>
+          <div className="chat-area">
+            <div className="messages">
+              {messages.length===0 && <div className="hint">No messages yet. Share the link; messages go to everyone connected.</div>}
+              {messages.map((m,i)=>(
+                <div key={i} className={`msg ${m.from==='me' ? 'me' : 'peer'}`}>
+                  <small className="from">{m.from}</small>
+                  {m.fileId ? renderFile(transfers[m.fileId]) : <div className="text">{m.text}</div>}
+                </div>
+              ))}
             </div>
-          ))}
-        </div>
 
-        <div className="composer">
-          <input value={text} onChange={e=>setText(e.target.value)} placeholder="Type message..." />
-          <button className="btn" onClick={send}>Send</button>
-        </div>
-      </div>
+            <div className="composer">
+              <input value={text} onChange={e=>setText(e.target.value)} placeholder="Type message..." />
+              <button className="btn" onClick={send}>Send</button>
+              <label className="btn muted file-pick">
+                Send file
+                <input type="file" hidden onChange={e=>{ const f = e.target.files[0]; e.target.value = ''; if(f) sendFile(f); }} />
+              </label>
+            </div>
+          </div>
 
-      <div className="logs">
-        <h4>Logs</h4>
-        <div className="logbox">{log.map((l,i)=><div key={i}>{l}</div>)}</div>
-      </div>
+          <div className="logs">
+            <h4>
+              Diagnostics{' '}
+              <button className="btn muted" onClick={()=>setShowStats(v => !v)}>{showStats ? 'Hide' : 'Show'}</button>
+            </h4>
+            {showStats && (Object.keys(stats).length === 0 ? <div className="hint">No peer connections.</div> : (
+              <table className="stats">
+                <thead>
+                  <tr><th>peer</th><th>state</th><th>local</th><th>remote</th><th>rtt</th><th>sent</th><th>received</th></tr>
+                </thead>
+                <tbody>
+                  {Object.entries(stats).map(([peerId, st])=>(
+                    <tr key={peerId}>
+                      <td>{shortId(peerId)}</td>
+                      <td>{st.connectionState} / {st.iceState}</td>
+                      <td>{st.local}</td>
+                      <td>{st.remote}</td>
+                      <td>{st.rttMs != null ? `${st.rttMs} ms` : '—'}</td>
+                      <td>{sizeStr(st.bytesSent)}</td>
+                      <td>{sizeStr(st.bytesReceived)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            ))}
+          </div>
+
+          <div className="logs">
+            <h4>Logs</h4>
+            <div className="logbox">{log.map((l,i)=><div key={i}>{l}</div>)}</div>
+          </div>
+        </div>
+      </main>
     </div>
   );
 }
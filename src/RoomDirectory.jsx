@@ -0,0 +1,58 @@
+// src/RoomDirectory.jsx
+import React, { useEffect, useState } from "react";
+import { chat } from "./chatService";
+import { countOnline } from "./presence";
+
+// one listed room with its live participant count
+function DirectoryRoom({ roomId, joined, onJoin }) {
+  const [meta, setMeta] = useState(null);
+  const [count, setCount] = useState(0);
+
+  useEffect(() => chat.watchMeta(roomId, setMeta), [roomId]);
+  useEffect(() => chat.watchParticipants(roomId, (val) => setCount(countOnline(val, Date.now()))), [roomId]);
+
+  // a directory entry can outlive the room's public flag
+  if (!meta || !meta.public) return null;
+
+  return (
+    <li className="gs-dir-room">
+      <div className="gs-dir-info">
+        <div className="gs-dir-title">
+          {meta.title || <span className="gs-mono"># {roomId}</span>}
+          {meta.hasPassword && (
+            <span className="gs-dir-lock" title="Needs a password to join">
+              🔑
+            </span>
+          )}
+        </div>
+        {meta.topic && <div className="gs-topic" title={meta.topic}>{meta.topic}</div>}
+      </div>
+      <span className="gs-muted">{count} online</span>
+      <button type="button" className="gs-btn" onClick={() => onJoin(roomId)}>
+        {joined ? "Open" : "Join"}
+      </button>
+    </li>
+  );
+}
+
+// public rooms anyone can join from the lobby
+export default function RoomDirectory({ joinedRooms, onJoin }) {
+  const [roomIds, setRoomIds] = useState(null);
+
+  useEffect(() => chat.watchDirectory(setRoomIds), []);
+
+  return (
+    <div className="gs-directory" aria-label="Public rooms">
+      <div className="gs-part-head">
+        <strong>Public rooms</strong>
+        {roomIds && <span className="gs-muted">({roomIds.length})</span>}
+      </div>
+      {roomIds && roomIds.length === 0 && <div className="gs-empty">No public rooms yet</div>}
+      <ul>
+        {(roomIds || []).map((id) => (
+          <DirectoryRoom key={id} roomId={id} joined={joinedRooms.includes(id)} onJoin={onJoin} />
+        ))}
+      </ul>
+    </div>
+  );
+}
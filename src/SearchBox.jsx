@@ -0,0 +1,138 @@
+// src/SearchBox.jsx
+import React, { useEffect, useState } from "react";
+import { searchMessages, highlightSnippet } from "./searchIndex";
+import { timeStr } from "./messages";
+
+const SEARCH_DEBOUNCE_MS = 200;
+
+// "yyyy-mm-dd" from a date input -> start or end of that local day
+function dayStart(value) {
+  return value ? new Date(`${value}T00:00:00`).getTime() : null;
+}
+
+function dayEnd(value) {
+  return value ? new Date(`${value}T23:59:59.999`).getTime() : null;
+}
+
+// search over a room's indexed history (see searchIndex.js), in the room header.
+// onJump(id) shows a result in the room.
+export default function SearchBox({ roomId, userId, onJump }) {
+  const [query, setQuery] = useState("");
+  const [sender, setSender] = useState("");
+  const [from, setFrom] = useState("");
+  const [to, setTo] = useState("");
+  const [open, setOpen] = useState(false);
+  // results are tagged with the search they answer, so stale ones are never shown
+  const [found, setFound] = useState({ key: "", list: [], error: "" });
+
+  const hasQuery = !!(query.trim() || sender.trim() || from || to);
+  const searchKey = JSON.stringify([userId, roomId, query.trim(), sender.trim(), from, to]);
+
+  useEffect(() => {
+    if (!hasQuery) return;
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      searchMessages(userId, roomId, { text: query, sender, from: dayStart(from), to: dayEnd(to) })
+        .then((list) => {
+          if (!cancelled) setFound({ key: searchKey, list, error: "" });
+        })
+        .catch((err) => {
+          console.error("search error:", err);
+          if (!cancelled) setFound({ key: searchKey, list: [], error: err.message || String(err) });
+        });
+    }, SEARCH_DEBOUNCE_MS);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [userId, roomId, hasQuery, searchKey, query, sender, from, to]);
+
+  const current = found.key === searchKey ? found : null;
+
+  function jump(id) {
+    onJump(id);
+    setOpen(false);
+  }
+
+  return (
+    <div
+      className="gs-search"
+      onKeyDown={(e) => {
+        if (e.key === "Escape") setOpen(false);
+      }}
+    >
+      <input
+        type="search"
+        className="gs-input gs-input--sm"
+        value={query}
+        onChange={(e) => {
+          setQuery(e.target.value);
+          setOpen(true);
+        }}
+        onFocus={() => setOpen(true)}
+        placeholder="Search this room"
+        aria-label="Search messages"
+      />
+
+      {open && (
+        <div className="gs-search-panel" role="dialog" aria-label="Search">
+          <div className="gs-search-filters">
+            <input
+              className="gs-input gs-input--sm"
+              value={sender}
+              onChange={(e) => setSender(e.target.value)}
+              placeholder="From (name)"
+              aria-label="Sender"
+            />
+            <input
+              type="date"
+              className="gs-input gs-input--sm"
+              value={from}
+              onChange={(e) => setFrom(e.target.value)}
+              aria-label="From date"
+            />
+            <input
+              type="date"
+              className="gs-input gs-input--sm"
+              value={to}
+              onChange={(e) => setTo(e.target.value)}
+              aria-label="To date"
+            />
+            <button type="button" className="gs-room-leave" onClick={() => setOpen(false)} aria-label="Close search">
+              ×
+            </button>
+          </div>
+
+          {!hasQuery && <div className="gs-muted">Search messages this browser has received in the room.</div>}
+          {hasQuery && !current && <div className="gs-muted">Searching…</div>}
+          {current && current.error && (
+            <div className="gs-unlock-error" role="alert">
+              Search is unavailable: {current.error}
+            </div>
+          )}
+          {current && !current.error && current.list.length === 0 && <div className="gs-muted">No matches</div>}
+
+          {current && current.list.length > 0 && (
+            <ul className="gs-search-results">
+              {current.list.map((r) => (
+                <li key={r.id}>
+                  <button type="button" className="gs-search-result" onClick={() => jump(r.id)}>
+                    <span className="gs-search-meta">
+                      <strong>{r.fromName || "Someone"}</strong> · {new Date(r.at).toLocaleDateString()}{" "}
+                      {timeStr(r.at)}
+                    </span>
+                    <span className="gs-search-snippet">
+                      {highlightSnippet(r.text, query).map((part, i) =>
+                        part.match ? <mark key={i}>{part.text}</mark> : <React.Fragment key={i}>{part.text}</React.Fragment>
+                      )}
+                    </span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,85 @@
+// src/ThreadPanel.jsx
+import React, { useEffect, useState } from "react";
+import { chat } from "./chatService";
+import { toMessage } from "./messages";
+import { useDecryptedTexts } from "./roomCrypto";
+
+// what a thread line shows for a message
+function lineText(msg, textFor) {
+  if (msg.deleted) return "message deleted";
+  if (!msg.enc) return msg.text;
+  const text = textFor(msg.enc);
+  return text === undefined ? "decrypting…" : text ?? "🔒 unable to decrypt";
+}
+
+// side panel listing every reply to one message, with its own reply box
+export default function ThreadPanel({ roomId, root, userId, roomKey, onSend, onJump, onClose }) {
+  const [replies, setReplies] = useState([]);
+  const [text, setText] = useState("");
+  const { textFor } = useDecryptedTexts(roomKey, roomId, [root, ...replies].map((m) => m.enc));
+
+  // all replies, not just the ones inside the loaded window
+  useEffect(() => {
+    return chat.watchReplies(roomId, root.id, (list) => {
+      const msgs = list.map((m) => toMessage(m.id, m.value)).filter(Boolean);
+      msgs.sort((a, b) => (a.id < b.id ? -1 : 1));
+      setReplies(msgs);
+    });
+  }, [roomId, root.id]);
+
+  async function submit() {
+    const value = text.trim();
+    if (!value) return;
+    if (await onSend(value, root)) setText("");
+  }
+
+  return (
+    <aside className="gs-thread" aria-label="Thread">
+      <div className="gs-part-head">
+        <strong>Thread</strong>
+        <button type="button" className="gs-room-leave" onClick={onClose} aria-label="Close thread">
+          ×
+        </button>
+      </div>
+
+      <button type="button" className="gs-thread-root" onClick={() => onJump(root.id)}>
+        <span className="gs-msg-sender">{root.fromId === userId && !root.imported ? "You" : root.fromName}</span>
+        <span className="gs-thread-text">{lineText(root, textFor)}</span>
+      </button>
+
+      <div className="gs-muted">
+        {replies.length} {replies.length === 1 ? "reply" : "replies"}
+      </div>
+
+      <ul className="gs-thread-list">
+        {replies.map((r) => (
+          <li key={r.id} className="gs-thread-item">
+            <button type="button" className="gs-thread-reply" onClick={() => onJump(r.id)}>
+              <span className="gs-msg-sender">{r.fromId === userId && !r.imported ? "You" : r.fromName}</span>
+              <span className="gs-thread-text">{lineText(r, textFor)}</span>
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      <form
+        className="gs-msg-edit"
+        onSubmit={(e) => {
+          e.preventDefault();
+          submit();
+        }}
+      >
+        <input
+          className="gs-input"
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          placeholder="Reply in thread…"
+          aria-label="Reply in thread"
+        />
+        <button type="submit" className="gs-btn gs-btn--primary" disabled={!text.trim()}>
+          Reply
+        </button>
+      </form>
+    </aside>
+  );
+}
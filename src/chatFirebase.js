@@ -0,0 +1,336 @@
+// src/chatFirebase.js
+// chat service over the realtime database:
+// rooms/{id}/{createdAt,messages,participants,typing,reads,meta},
+// plus the moderation lists {mods,mutes,bans,kicks} and lastPost for slow mode.
+import {
+  ref,
+  push,
+  set,
+  update,
+  remove,
+  get,
+  onValue,
+  onChildAdded,
+  onChildChanged,
+  onChildRemoved,
+  onDisconnect,
+  query,
+  orderByKey,
+  orderByChild,
+  equalTo,
+  startAt,
+  endBefore,
+  limitToFirst,
+  limitToLast,
+  serverTimestamp,
+} from "firebase/database";
+import { HEARTBEAT_MS } from "./presence";
+
+// several room paths as one object; cb fires once every path has answered.
+// a denied read (a banned user loses the room) counts as empty.
+function watchFields(roomRef, paths, cb) {
+  const keys = Object.keys(paths);
+  const state = {};
+  const loaded = new Set();
+  const apply = (key, val) => {
+    state[key] = val;
+    loaded.add(key);
+    if (loaded.size === keys.length) cb({ ...state });
+  };
+  const unsubs = keys.map((key) =>
+    onValue(
+      roomRef(paths[key]),
+      (snap) => apply(key, snap.val()),
+      () => apply(key, null)
+    )
+  );
+  return () => unsubs.forEach((fn) => fn());
+}
+
+function listOf(snap) {
+  const list = [];
+  snap.forEach((child) => {
+    list.push({ id: child.key, value: child.val() });
+  });
+  return list;
+}
+
+export function createFirebaseChat(db) {
+  const room = (roomId, path = "") => ref(db, `rooms/${roomId}${path}`);
+  const watchValue = (r, cb) => onValue(r, (snap) => cb(snap.val()));
+
+  return {
+    async createRoom(roomId, ownerId) {
+      await update(room(roomId), { createdAt: serverTimestamp(), "meta/ownerId": ownerId });
+    },
+
+    ensureRoom(roomId, ownerId) {
+      get(room(roomId, "/createdAt"))
+        .then((snap) => {
+          if (!snap.exists()) {
+            return update(room(roomId), { createdAt: serverTimestamp(), "meta/ownerId": ownerId });
+          }
+        })
+        .catch((err) => console.error("ensureRoom error:", err));
+    },
+
+    async setListed(roomId, listed) {
+      await update(ref(db), {
+        [`rooms/${roomId}/meta/public`]: listed || null,
+        [`directory/${roomId}`]: listed || null,
+      });
+    },
+
+    watchDirectory(cb) {
+      return watchValue(ref(db, "directory"), (val) => cb(Object.keys(val || {})));
+    },
+
+    async setPassword(roomId, password, ownerId) {
+      await update(room(roomId), {
+        password,
+        "meta/hasPassword": password ? true : null,
+        [`members/${ownerId}`]: password ? password.hash : null,
+      });
+    },
+
+    // salt and iterations are readable on their own; the hash is not
+    async getPasswordGate(roomId) {
+      const [salt, iterations] = await Promise.all([
+        get(room(roomId, "/password/salt")),
+        get(room(roomId, "/password/iterations")),
+      ]);
+      return salt.exists() ? { salt: salt.val(), iterations: iterations.val() } : null;
+    },
+
+    async hasAccess(roomId, uid) {
+      return (await get(room(roomId, `/members/${uid}`))).exists();
+    },
+
+    async enterRoom(roomId, uid, hash) {
+      await set(room(roomId, `/members/${uid}`), hash);
+    },
+
+    join(roomId, user) {
+      const pRef = room(roomId, `/participants/${user.id}`);
+      const tRef = room(roomId, `/typing/${user.id}`);
+      const seenRef = room(roomId, `/participants/${user.id}/lastSeen`);
+      let name = user.name;
+      let status = "online";
+      // the newest connection entry, and connRef once it is registered. writes
+      // queued while offline would be replayed against an entry the server
+      // already dropped and bring it back as a ghost, so nothing is written
+      // between a drop and the next entry's registration
+      let latest = null;
+      let connRef = null;
+      let joined = false;
+      let left = false;
+      const logError = (err) => console.error("presence error:", err);
+
+      // every (re)connection gets its own entry, which the server drops with it
+      const unsubConnected = onValue(ref(db, ".info/connected"), (snap) => {
+        connRef = null;
+        latest = null;
+        if (snap.val() !== true) return;
+        const conn = push(room(roomId, `/participants/${user.id}/connections`));
+        latest = conn;
+        let sent;
+        Promise.all([
+          onDisconnect(conn).remove(),
+          onDisconnect(seenRef).set(serverTimestamp()),
+          onDisconnect(tRef).remove(),
+        ])
+          .then(() => {
+            // dropped again, or left, before the handlers were in place
+            if (latest !== conn || left) return;
+            sent = status;
+            return update(pRef, {
+              id: user.id,
+              name,
+              ...(joined ? {} : { joinedAt: serverTimestamp() }),
+              lastSeen: serverTimestamp(),
+              [`connections/${conn.key}`]: { status, at: serverTimestamp() },
+            }).then(() => {
+              joined = true;
+              if (latest !== conn || left) return;
+              connRef = conn;
+              if (status !== sent) set(conn, { status, at: serverTimestamp() }).catch(logError);
+            });
+          })
+          .catch(logError);
+      });
+
+      const heartbeat = setInterval(() => {
+        if (!connRef) return;
+        const at = serverTimestamp();
+        update(pRef, { lastSeen: at, [`connections/${connRef.key}/at`]: at }).catch(logError);
+      }, HEARTBEAT_MS);
+
+      return {
+        setStatus(next) {
+          status = next;
+          if (connRef) set(connRef, { status, at: serverTimestamp() }).catch(logError);
+        },
+        rename(next) {
+          name = next;
+          return update(pRef, { name });
+        },
+        leave() {
+          left = true;
+          unsubConnected();
+          clearInterval(heartbeat);
+          [seenRef, tRef].forEach((r) => onDisconnect(r).cancel().catch(() => {}));
+          remove(tRef).catch(() => {});
+          if (!latest) return;
+          onDisconnect(latest).cancel().catch(() => {});
+          // fails harmlessly when a moderator already removed our entry
+          update(pRef, { [`connections/${latest.key}`]: null, lastSeen: serverTimestamp() }).catch(() => {});
+        },
+      };
+    },
+
+    async rename(roomId, userId, name) {
+      await update(room(roomId, `/participants/${userId}`), { name });
+    },
+
+    watchParticipants(roomId, cb) {
+      return watchValue(room(roomId, "/participants"), (val) => cb(val || {}));
+    },
+
+    async setTyping(roomId, userId, flag) {
+      await set(room(roomId, `/typing/${userId}`), flag);
+    },
+
+    watchTyping(roomId, cb) {
+      return watchValue(room(roomId, "/typing"), (val) => cb(val || {}));
+    },
+
+    async setRead(roomId, userId, read) {
+      await set(room(roomId, `/reads/${userId}`), read);
+    },
+
+    watchReads(roomId, cb) {
+      return watchValue(room(roomId, "/reads"), (val) => cb(val || {}));
+    },
+
+    watchConnected(cb) {
+      return watchValue(ref(db, ".info/connected"), (val) => cb(val === true));
+    },
+
+    newMessageId(roomId) {
+      return push(room(roomId, "/messages")).key;
+    },
+
+    async sendMessage(roomId, id, data) {
+      await update(room(roomId), {
+        [`messages/${id}`]: data,
+        [`lastPost/${data.fromId}`]: serverTimestamp(),
+      });
+    },
+
+    async sendMessages(roomId, items) {
+      if (!items.length) return;
+      const patch = { [`lastPost/${items[0].data.fromId}`]: serverTimestamp() };
+      items.forEach(({ id, data }) => {
+        patch[`messages/${id}`] = data;
+      });
+      await update(room(roomId), patch);
+    },
+
+    async updateMessage(roomId, id, patch) {
+      await update(room(roomId, `/messages/${id}`), patch);
+    },
+
+    watchLatest(roomId, limit, cb) {
+      const latest = query(room(roomId, "/messages"), orderByKey(), limitToLast(limit));
+      return onChildAdded(latest, (snap) => cb(snap.key, snap.val()));
+    },
+
+    watchChanges(roomId, fromId, { onChanged, onRemoved }) {
+      const loaded = query(room(roomId, "/messages"), orderByKey(), startAt(fromId));
+      const unsubChanged = onChildChanged(loaded, (snap) => onChanged(snap.key, snap.val()));
+      const unsubRemoved = onChildRemoved(loaded, (snap) => onRemoved(snap.key));
+      return () => {
+        unsubChanged();
+        unsubRemoved();
+      };
+    },
+
+    async getMessages(roomId, { from, before, first, limit } = {}) {
+      const constraints = [orderByKey()];
+      if (from) constraints.push(startAt(from));
+      if (before) constraints.push(endBefore(before));
+      if (first) constraints.push(limitToFirst(first));
+      else if (limit) constraints.push(limitToLast(limit));
+      return listOf(await get(query(room(roomId, "/messages"), ...constraints)));
+    },
+
+    watchReplies(roomId, rootId, cb) {
+      const replies = query(room(roomId, "/messages"), orderByChild("replyTo/id"), equalTo(rootId));
+      return onValue(replies, (snap) => cb(listOf(snap)));
+    },
+
+    async setTopic(roomId, topic) {
+      await set(room(roomId, "/meta/topic"), topic || null);
+    },
+
+    watchTopic(roomId, cb) {
+      return watchValue(room(roomId, "/meta/topic"), (val) => cb(val || ""));
+    },
+
+    async updateMeta(roomId, patch) {
+      await update(room(roomId, "/meta"), patch);
+    },
+
+    watchMeta(roomId, cb) {
+      return watchValue(room(roomId, "/meta"), (val) => cb(val || {}));
+    },
+
+    watchModeration(roomId, cb) {
+      const paths = { mods: "/mods", mutes: "/mutes", bans: "/bans" };
+      return watchFields((path) => room(roomId, path), paths, (val) =>
+        cb({ mods: val.mods || {}, mutes: val.mutes || {}, bans: val.bans || {} })
+      );
+    },
+
+    watchStanding(roomId, uid, cb) {
+      const paths = { kick: `/kicks/${uid}`, ban: `/bans/${uid}`, lastPost: `/lastPost/${uid}` };
+      return watchFields((path) => room(roomId, path), paths, (val) =>
+        cb({
+          kickedAt: val.kick ? val.kick.at : null,
+          banned: !!val.ban,
+          lastPostAt: val.lastPost || null,
+        })
+      );
+    },
+
+    async setModerator(roomId, uid, on) {
+      await set(room(roomId, `/mods/${uid}`), on ? true : null);
+    },
+
+    async kick(roomId, uid, by) {
+      await update(room(roomId), {
+        [`participants/${uid}`]: null,
+        [`kicks/${uid}`]: { by, at: serverTimestamp() },
+      });
+    },
+
+    async ban(roomId, uid, by, name) {
+      await update(room(roomId), {
+        [`participants/${uid}`]: null,
+        [`bans/${uid}`]: { by, at: serverTimestamp(), name: name || null },
+      });
+    },
+
+    async unban(roomId, uid) {
+      await remove(room(roomId, `/bans/${uid}`));
+    },
+
+    async mute(roomId, uid, by, until) {
+      await set(room(roomId, `/mutes/${uid}`), { by, at: serverTimestamp(), until: until || null });
+    },
+
+    async unmute(roomId, uid) {
+      await remove(room(roomId, `/mutes/${uid}`));
+    },
+  };
+}
@@ -0,0 +1,344 @@
+// src/chatMemory.js
+// chat service kept entirely in memory, with the same data layout as the
+// realtime database. everything lives in one tree shared by the whole tab, so
+// several rooms (and the UI in general) can run with no network or Firebase
+// project. nothing survives a reload.
+//
+// writes replace the nodes along their path instead of mutating them, so a
+// listener can tell what changed by comparing references.
+
+import { HEARTBEAT_MS } from "./presence";
+
+// firebase-style push ids: 8 chars of time + 12 random, sortable by creation
+const PUSH_CHARS = "-0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ_abcdefghijklmnopqrstuvwxyz";
+let lastPushTime = 0;
+let lastRandom = [];
+
+function pushId() {
+  let now = Date.now();
+  const duplicate = now === lastPushTime;
+  lastPushTime = now;
+  const time = [];
+  for (let i = 0; i < 8; i++) {
+    time.unshift(PUSH_CHARS.charAt(now % 64));
+    now = Math.floor(now / 64);
+  }
+  if (!duplicate) {
+    lastRandom = Array.from({ length: 12 }, () => Math.floor(Math.random() * 64));
+  } else {
+    // same millisecond: increment so ids still sort in creation order
+    let i = 11;
+    while (i >= 0 && lastRandom[i] === 63) lastRandom[i--] = 0;
+    if (i >= 0) lastRandom[i] += 1;
+  }
+  return time.join("") + lastRandom.map((n) => PUSH_CHARS.charAt(n)).join("");
+}
+
+function segmentsOf(path) {
+  return path.split("/").filter(Boolean);
+}
+
+function readAt(tree, segments) {
+  let node = tree;
+  for (const key of segments) {
+    if (node == null || typeof node !== "object") return null;
+    node = node[key];
+  }
+  return node === undefined ? null : node;
+}
+
+// copy-on-write set; null removes the key and prunes parents left empty
+function writeAt(node, segments, value) {
+  if (!segments.length) return value;
+  const [key, ...rest] = segments;
+  const base = node && typeof node === "object" ? node : {};
+  const child = writeAt(base[key], rest, value);
+  const next = { ...base };
+  if (child == null || (typeof child === "object" && !Object.keys(child).length)) delete next[key];
+  else next[key] = child;
+  return Object.keys(next).length ? next : null;
+}
+
+function sortedEntries(obj) {
+  return Object.keys(obj || {})
+    .sort()
+    .map((id) => ({ id, value: obj[id] }));
+}
+
+export function createMemoryChat() {
+  let tree = null;
+  const listeners = new Set(); // { segments, last, fn(value, previous) }
+
+  function write(path, value) {
+    tree = writeAt(tree, segmentsOf(path), value);
+    listeners.forEach((l) => {
+      const next = readAt(tree, l.segments);
+      if (next === l.last) return;
+      const previous = l.last;
+      l.last = next;
+      l.fn(next, previous);
+    });
+  }
+
+  // like a database update(): several paths below `path`, one notification
+  function patchAt(path, patch) {
+    let node = readAt(tree, segmentsOf(path));
+    Object.entries(patch).forEach(([key, value]) => {
+      node = writeAt(node, segmentsOf(key), value);
+    });
+    write(path, node);
+  }
+
+  // fn(value, previous) now (async, like a database) and on every change below path
+  function listen(path, fn) {
+    const listener = { segments: segmentsOf(path), last: null, fn };
+    let active = true;
+    queueMicrotask(() => {
+      if (!active) return;
+      listener.last = readAt(tree, listener.segments);
+      listeners.add(listener);
+      fn(listener.last, null);
+    });
+    return () => {
+      active = false;
+      listeners.delete(listener);
+    };
+  }
+
+  const watchValue = (path, cb, empty) => listen(path, (val) => cb(val || empty));
+  const room = (roomId, path = "") => `rooms/${roomId}${path}`;
+
+  return {
+    async createRoom(roomId, ownerId) {
+      patchAt(room(roomId), { createdAt: Date.now(), "meta/ownerId": ownerId });
+    },
+
+    ensureRoom(roomId, ownerId) {
+      if (!readAt(tree, segmentsOf(room(roomId, "/createdAt")))) {
+        patchAt(room(roomId), { createdAt: Date.now(), "meta/ownerId": ownerId });
+      }
+    },
+
+    async setListed(roomId, listed) {
+      patchAt("", { [room(roomId, "/meta/public")]: listed || null, [`directory/${roomId}`]: listed || null });
+    },
+
+    watchDirectory(cb) {
+      return listen("directory", (val) => cb(Object.keys(val || {})));
+    },
+
+    async setPassword(roomId, password, ownerId) {
+      patchAt(room(roomId), {
+        password,
+        "meta/hasPassword": password ? true : null,
+        [`members/${ownerId}`]: password ? password.hash : null,
+      });
+    },
+
+    async getPasswordGate(roomId) {
+      const password = readAt(tree, segmentsOf(room(roomId, "/password")));
+      return password ? { salt: password.salt, iterations: password.iterations } : null;
+    },
+
+    async hasAccess(roomId, uid) {
+      return readAt(tree, segmentsOf(room(roomId, `/members/${uid}`))) != null;
+    },
+
+    // the database rules do this comparison for the firebase backend
+    async enterRoom(roomId, uid, hash) {
+      if (hash !== readAt(tree, segmentsOf(room(roomId, "/password/hash")))) {
+        throw new Error("wrong password");
+      }
+      write(room(roomId, `/members/${uid}`), hash);
+    },
+
+    join(roomId, user) {
+      const path = room(roomId, `/participants/${user.id}`);
+      const connId = pushId();
+      let status = "online";
+      const now = Date.now();
+      patchAt(path, {
+        id: user.id,
+        name: user.name,
+        joinedAt: now,
+        lastSeen: now,
+        [`connections/${connId}`]: { status, at: now },
+      });
+
+      // after a kick the entry is gone and must stay gone
+      const touch = (patch) => {
+        if (readAt(tree, segmentsOf(path))) patchAt(path, patch);
+      };
+      const heartbeat = setInterval(
+        () => touch({ lastSeen: Date.now(), [`connections/${connId}/at`]: Date.now() }),
+        HEARTBEAT_MS
+      );
+
+      return {
+        setStatus(next) {
+          status = next;
+          touch({ [`connections/${connId}`]: { status, at: Date.now() } });
+        },
+        async rename(next) {
+          touch({ name: next });
+        },
+        leave() {
+          clearInterval(heartbeat);
+          touch({ [`connections/${connId}`]: null, lastSeen: Date.now() });
+          write(room(roomId, `/typing/${user.id}`), null);
+        },
+      };
+    },
+
+    async rename(roomId, userId, name) {
+      write(room(roomId, `/participants/${userId}/name`), name);
+    },
+
+    watchParticipants(roomId, cb) {
+      return watchValue(room(roomId, "/participants"), cb, {});
+    },
+
+    async setTyping(roomId, userId, flag) {
+      write(room(roomId, `/typing/${userId}`), flag);
+    },
+
+    watchTyping(roomId, cb) {
+      return watchValue(room(roomId, "/typing"), cb, {});
+    },
+
+    async setRead(roomId, userId, read) {
+      write(room(roomId, `/reads/${userId}`), read);
+    },
+
+    watchReads(roomId, cb) {
+      return watchValue(room(roomId, "/reads"), cb, {});
+    },
+
+    // always "online"
+    watchConnected(cb) {
+      let active = true;
+      queueMicrotask(() => active && cb(true));
+      return () => {
+        active = false;
+      };
+    },
+
+    newMessageId() {
+      return pushId();
+    },
+
+    async sendMessage(roomId, id, data) {
+      patchAt(room(roomId), { [`messages/${id}`]: data, [`lastPost/${data.fromId}`]: Date.now() });
+    },
+
+    async sendMessages(roomId, items) {
+      if (!items.length) return;
+      const patch = { [`lastPost/${items[0].data.fromId}`]: Date.now() };
+      items.forEach(({ id, data }) => {
+        patch[`messages/${id}`] = data;
+      });
+      patchAt(room(roomId), patch);
+    },
+
+    async updateMessage(roomId, id, patch) {
+      patchAt(room(roomId, `/messages/${id}`), patch);
+    },
+
+    watchLatest(roomId, limit, cb) {
+      return listen(room(roomId, "/messages"), (all, previous) => {
+        const ids = Object.keys(all || {}).sort();
+        const fresh = previous ? ids.filter((id) => !previous[id]) : ids.slice(-limit);
+        fresh.forEach((id) => cb(id, all[id]));
+      });
+    },
+
+    watchChanges(roomId, fromId, { onChanged, onRemoved }) {
+      return listen(room(roomId, "/messages"), (all, previous) => {
+        if (!previous) return;
+        Object.keys(previous)
+          .filter((id) => id >= fromId)
+          .sort()
+          .forEach((id) => {
+            if (!all || !all[id]) onRemoved(id);
+            else if (all[id] !== previous[id]) onChanged(id, all[id]);
+          });
+      });
+    },
+
+    async getMessages(roomId, { from, before, first, limit } = {}) {
+      const list = sortedEntries(readAt(tree, segmentsOf(room(roomId, "/messages")))).filter(
+        (m) => (!from || m.id >= from) && (!before || m.id < before)
+      );
+      if (first) return list.slice(0, first);
+      return limit ? list.slice(-limit) : list;
+    },
+
+    watchReplies(roomId, rootId, cb) {
+      return listen(room(roomId, "/messages"), (all) => {
+        cb(sortedEntries(all).filter((m) => m.value.replyTo && m.value.replyTo.id === rootId));
+      });
+    },
+
+    async setTopic(roomId, topic) {
+      write(room(roomId, "/meta/topic"), topic || null);
+    },
+
+    watchTopic(roomId, cb) {
+      return watchValue(room(roomId, "/meta/topic"), cb, "");
+    },
+
+    async updateMeta(roomId, patch) {
+      patchAt(room(roomId, "/meta"), patch);
+    },
+
+    watchMeta(roomId, cb) {
+      return watchValue(room(roomId, "/meta"), cb, {});
+    },
+
+    watchModeration(roomId, cb) {
+      return listen(room(roomId), (val) => {
+        const r = val || {};
+        cb({ mods: r.mods || {}, mutes: r.mutes || {}, bans: r.bans || {} });
+      });
+    },
+
+    watchStanding(roomId, uid, cb) {
+      return listen(room(roomId), (val) => {
+        const r = val || {};
+        const kick = r.kicks && r.kicks[uid];
+        cb({
+          kickedAt: kick ? kick.at : null,
+          banned: !!(r.bans && r.bans[uid]),
+          lastPostAt: (r.lastPost && r.lastPost[uid]) || null,
+        });
+      });
+    },
+
+    async setModerator(roomId, uid, on) {
+      write(room(roomId, `/mods/${uid}`), on ? true : null);
+    },
+
+    async kick(roomId, uid, by) {
+      patchAt(room(roomId), { [`participants/${uid}`]: null, [`kicks/${uid}`]: { by, at: Date.now() } });
+    },
+
+    async ban(roomId, uid, by, name) {
+      patchAt(room(roomId), {
+        [`participants/${uid}`]: null,
+        [`bans/${uid}`]: { by, at: Date.now(), name: name || null },
+      });
+    },
+
+    async unban(roomId, uid) {
+      write(room(roomId, `/bans/${uid}`), null);
+    },
+
+    async mute(roomId, uid, by, until) {
+      write(room(roomId, `/mutes/${uid}`), { by, at: Date.now(), until: until || null });
+    },
+
+    async unmute(roomId, uid) {
+      write(room(roomId, `/mutes/${uid}`), null);
+    },
+  };
+}
@@ -0,0 +1,149 @@
+// src/chatMemory.test.js
+import { describe, expect, it, vi } from "vitest";
+import { createMemoryChat } from "./chatMemory";
+
+// listeners get their first value asynchronously, like the database
+const settle = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+function message(fromId, text) {
+  return { fromId, fromName: fromId, text, at: Date.now() };
+}
+
+async function withMessages(ids) {
+  const chat = createMemoryChat();
+  for (const id of ids) await chat.sendMessage("r1", id, message("bob", id));
+  return chat;
+}
+
+describe("messages", () => {
+  it("watchLatest replays the last `limit` messages, then every new one", async () => {
+    const chat = await withMessages(["m1", "m2", "m3"]);
+    const seen = [];
+    const stop = chat.watchLatest("r1", 2, (id, value) => seen.push([id, value.text]));
+    await settle();
+    expect(seen).toEqual([
+      ["m2", "m2"],
+      ["m3", "m3"],
+    ]);
+
+    await chat.sendMessage("r1", "m4", message("bob", "m4"));
+    expect(seen.map(([id]) => id)).toEqual(["m2", "m3", "m4"]);
+
+    stop();
+    await chat.sendMessage("r1", "m5", message("bob", "m5"));
+    expect(seen).toHaveLength(3);
+  });
+
+  it("watchChanges reports edits from fromId on", async () => {
+    const chat = await withMessages(["m1", "m2", "m3"]);
+    const onChanged = vi.fn();
+    const onRemoved = vi.fn();
+    chat.watchChanges("r1", "m2", { onChanged, onRemoved });
+    await settle();
+
+    await chat.updateMessage("r1", "m1", { text: "too old" });
+    await chat.updateMessage("r1", "m3", { text: "edited" });
+    expect(onChanged).toHaveBeenCalledTimes(1);
+    expect(onChanged).toHaveBeenCalledWith("m3", expect.objectContaining({ text: "edited" }));
+
+    await chat.updateMessage("r1", "m2", { fromId: null, fromName: null, text: null, at: null });
+    expect(onRemoved).toHaveBeenCalledWith("m2");
+  });
+
+  it("getMessages pages with before, from, first and limit", async () => {
+    const chat = await withMessages(["m1", "m2", "m3", "m4", "m5"]);
+    const ids = (list) => list.map((m) => m.id);
+    expect(ids(await chat.getMessages("r1", { before: "m4", limit: 2 }))).toEqual(["m2", "m3"]);
+    expect(ids(await chat.getMessages("r1", { from: "m2", before: "m4" }))).toEqual(["m2", "m3"]);
+    expect(ids(await chat.getMessages("r1", { from: "m3", first: 2 }))).toEqual(["m3", "m4"]);
+    expect(ids(await chat.getMessages("r1"))).toEqual(["m1", "m2", "m3", "m4", "m5"]);
+    expect(await chat.getMessages("empty")).toEqual([]);
+  });
+
+  it("stamps lastPost with every send", async () => {
+    const chat = await withMessages(["m1"]);
+    const standing = vi.fn();
+    chat.watchStanding("r1", "bob", standing);
+    await settle();
+    expect(standing).toHaveBeenLastCalledWith(expect.objectContaining({ lastPostAt: expect.any(Number) }));
+  });
+});
+
+describe("presence", () => {
+  it("keeps a connection entry from join to leave", async () => {
+    const chat = createMemoryChat();
+    const participants = vi.fn();
+    chat.watchParticipants("r1", participants);
+    await settle();
+
+    const session = chat.join("r1", { id: "bob", name: "Bob" });
+    const entry = () => participants.mock.lastCall[0].bob;
+    expect(entry()).toMatchObject({ id: "bob", name: "Bob" });
+    expect(Object.values(entry().connections)).toEqual([{ status: "online", at: expect.any(Number) }]);
+
+    session.setStatus("away");
+    expect(Object.values(entry().connections)[0].status).toBe("away");
+    await session.rename("Robert");
+    expect(entry().name).toBe("Robert");
+
+    await chat.setTyping("r1", "bob", { name: "Robert", at: 1 });
+    session.leave();
+    expect(entry().connections).toBeUndefined();
+    expect(entry().lastSeen).toEqual(expect.any(Number));
+
+    const typing = vi.fn();
+    chat.watchTyping("r1", typing);
+    await settle();
+    expect(typing).toHaveBeenLastCalledWith({});
+  });
+
+  it("doesn't bring back an entry a moderator removed", async () => {
+    const chat = createMemoryChat();
+    const session = chat.join("r1", { id: "bob", name: "Bob" });
+    await chat.kick("r1", "bob", "alice");
+    session.setStatus("away");
+    session.leave();
+
+    const participants = vi.fn();
+    chat.watchParticipants("r1", participants);
+    await settle();
+    expect(participants).toHaveBeenLastCalledWith({});
+  });
+});
+
+describe("moderation", () => {
+  it("reports mods, mutes and bans", async () => {
+    const chat = createMemoryChat();
+    const moderation = vi.fn();
+    chat.watchModeration("r1", moderation);
+    await settle();
+    expect(moderation).toHaveBeenLastCalledWith({ mods: {}, mutes: {}, bans: {} });
+
+    await chat.setModerator("r1", "carol", true);
+    await chat.mute("r1", "dave", "carol", 1234);
+    await chat.ban("r1", "eve", "carol", "Eve");
+    expect(moderation).toHaveBeenLastCalledWith({
+      mods: { carol: true },
+      mutes: { dave: { by: "carol", at: expect.any(Number), until: 1234 } },
+      bans: { eve: { by: "carol", at: expect.any(Number), name: "Eve" } },
+    });
+
+    await chat.setModerator("r1", "carol", false);
+    await chat.unmute("r1", "dave");
+    await chat.unban("r1", "eve");
+    expect(moderation).toHaveBeenLastCalledWith({ mods: {}, mutes: {}, bans: {} });
+  });
+
+  it("tells a user they were kicked or banned", async () => {
+    const chat = createMemoryChat();
+    const standing = vi.fn();
+    chat.watchStanding("r1", "bob", standing);
+    await settle();
+    expect(standing).toHaveBeenLastCalledWith({ kickedAt: null, banned: false, lastPostAt: null });
+
+    await chat.kick("r1", "bob", "alice");
+    expect(standing.mock.lastCall[0].kickedAt).toEqual(expect.any(Number));
+    await chat.ban("r1", "bob", "alice", "Bob");
+    expect(standing.mock.lastCall[0].banned).toBe(true);
+  });
+});
@@ -0,0 +1,77 @@
+// src/chatService.js
+// the chat backend behind the UI: rooms, messages and presence. components use
+// the shared `chat` instance and never talk to a database directly.
+//
+// rooms
+//   createRoom(roomId, ownerId) -> Promise     the creator owns the room (meta/ownerId)
+//   ensureRoom(roomId, ownerId)               re-create a room that was removed
+//   setListed(roomId, listed) -> Promise      meta/public plus the lobby entry directory/{id}
+//   watchDirectory(cb) -> unsubscribe         cb([roomId]) of listed rooms
+//   setPassword(roomId, { salt, iterations, hash } | null, ownerId) -> Promise
+//                                             see roomPassword.js; the owner becomes a member
+//   getPasswordGate(roomId) -> Promise<{ salt, iterations } | null>
+//   hasAccess(roomId, uid) -> Promise<boolean>
+//                                             already a member of a password-protected room
+//   enterRoom(roomId, uid, hash) -> Promise   become a member; rejects on a wrong hash
+// presence
+//   join(roomId, { id, name }) -> { leave(), setStatus(status), rename(name) }
+//                                             one connection under our participant entry
+//                                             (see presence.js); status "online" | "away"
+//   rename(roomId, userId, name) -> Promise
+//   watchParticipants(roomId, cb) -> unsubscribe
+//   setTyping(roomId, userId, { name, at } | null) -> Promise
+//   watchTyping(roomId, cb) -> unsubscribe
+//   setRead(roomId, userId, { key, name, at }) -> Promise
+//   watchReads(roomId, cb) -> unsubscribe
+//   watchConnected(cb) -> unsubscribe         cb(true | false)
+// messages (ids sort chronologically; values are the stored message objects)
+//   newMessageId(roomId) -> id
+//   sendMessage(roomId, id, data) -> Promise  also stamps lastPost/{fromId} for slow mode
+//   sendMessages(roomId, [{ id, data }]) -> Promise
+//                                             several from one sender in one write (imports)
+//   updateMessage(roomId, id, patch) -> Promise
+//                                             patch keys may be paths ("reactions/👍/uid"); null removes
+//   watchLatest(roomId, limit, cb) -> unsubscribe
+//                                             cb(id, value) for the last `limit` and every new one
+//   watchChanges(roomId, fromId, { onChanged, onRemoved }) -> unsubscribe
+//                                             edits/removals of messages with id >= fromId
+//   getMessages(roomId, { from, before, first, limit }) -> Promise<[{ id, value }]>
+//                                             oldest first; from inclusive, before exclusive,
+//                                             first keeps the oldest, limit the newest
+//   watchReplies(roomId, rootId, cb) -> unsubscribe
+//                                             cb([{ id, value }]) for every reply to rootId
+// meta
+//   setTopic(roomId, topic) -> Promise
+//   watchTopic(roomId, cb) -> unsubscribe
+//   updateMeta(roomId, patch) -> Promise      rooms/{id}/meta, e.g. { encryption }
+//   watchMeta(roomId, cb) -> unsubscribe      meta also holds title, ownerId, public, hasPassword,
+//                                             locked, slowMode (seconds)
+// moderation (the database rules decide who may do what)
+//   watchModeration(roomId, cb) -> unsubscribe
+//                                             cb({ mods, mutes, bans }) keyed by uid
+//   watchStanding(roomId, uid, cb) -> unsubscribe
+//                                             cb({ kickedAt, banned, lastPostAt }) for one user
+//   setModerator(roomId, uid, on) -> Promise
+//   kick(roomId, uid, by) / ban(roomId, uid, by, name) / unban(roomId, uid) -> Promise
+//   mute(roomId, uid, by, until | null) / unmute(roomId, uid) -> Promise
+//
+// pick the backend with VITE_CHAT_BACKEND (firebase | memory); the dev server also
+// takes ?backend= in the url. a production build ignores it, so a crafted link
+// can't put someone in a local-only room that looks real. memory is opt-in: a
+// build without a Firebase project only starts with VITE_CHAT_BACKEND=memory
+// (see firebase.js).
+import { db } from "./firebase";
+import { createFirebaseChat } from "./chatFirebase";
+import { createMemoryChat } from "./chatMemory";
+
+export function chatBackend() {
+  const fromUrl = import.meta.env.DEV ? new URLSearchParams(window.location.search).get("backend") : null;
+  const wanted = fromUrl || import.meta.env.VITE_CHAT_BACKEND || "firebase";
+  return wanted === "firebase" && db ? "firebase" : "memory";
+}
+
+export function createChatService(backend = chatBackend()) {
+  return backend === "firebase" ? createFirebaseChat(db) : createMemoryChat();
+}
+
+export const chat = createChatService();
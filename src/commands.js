@@ -0,0 +1,131 @@
+// src/commands.js
+// slash commands for the composer. each command gets the text after its name
+// and a context object from the room it was typed in:
+//   ctx = { roomId, name, rename, post, setTopic, setTitle, clearView, copyInvite, notify }
+// notify(text, kind) shows a local-only notice ("info" | "error").
+// run() returns false when it refused (bad usage, muted), so the composer keeps
+// what was typed.
+import { MAX_NAME_LENGTH } from "./presence";
+
+const MAX_TOPIC_LENGTH = 200;
+const MAX_TITLE_LENGTH = 80;
+
+const commands = [];
+
+// add a command: { name, usage, description, run(args, ctx) -> false when refused }
+export function registerCommand(command) {
+  const existing = commands.findIndex((c) => c.name === command.name);
+  if (existing !== -1) commands.splice(existing, 1, command);
+  else commands.push(command);
+}
+
+export function listCommands() {
+  return [...commands];
+}
+
+// "/name args" -> { name, args }; null for plain text (and "//" escapes a leading slash)
+export function parseCommand(text) {
+  const m = /^\/(\S+)(?:\s+([\s\S]*))?$/.exec((text || "").trim());
+  if (!m || m[1].startsWith("/")) return null;
+  return { name: m[1].toLowerCase(), args: (m[2] || "").trim() };
+}
+
+// command names to suggest while the user is still typing the first word
+export function matchCommands(text) {
+  const m = /^\/(\S*)$/.exec(text || "");
+  if (!m) return [];
+  const prefix = m[1].toLowerCase();
+  return commands.filter((c) => c.name.startsWith(prefix));
+}
+
+// run a parsed command; true once it ran. unknown commands only produce a local error
+export async function runCommand({ name, args }, ctx) {
+  const command = commands.find((c) => c.name === name);
+  if (!command) {
+    ctx.notify(`Unknown command /${name} — type /help for the list.`, "error");
+    return false;
+  }
+  try {
+    return (await command.run(args, ctx)) !== false;
+  } catch (err) {
+    console.error(`/${name} error:`, err);
+    ctx.notify(`/${name} failed: ${err.message || err}`, "error");
+    return false;
+  }
+}
+
+registerCommand({
+  name: "nick",
+  usage: "/nick <name>",
+  description: "change your display name",
+  async run(args, ctx) {
+    const next = args.slice(0, MAX_NAME_LENGTH).trim();
+    if (!next) {
+      ctx.notify("Usage: /nick <name>", "error");
+      return false;
+    }
+    await ctx.rename(next);
+    ctx.notify(`You are now known as ${next}.`);
+  },
+});
+
+registerCommand({
+  name: "me",
+  usage: "/me <action>",
+  description: "send an action message",
+  async run(args, ctx) {
+    if (!args) {
+      ctx.notify("Usage: /me <action>", "error");
+      return false;
+    }
+    return ctx.post(args, { kind: "action" });
+  },
+});
+
+registerCommand({
+  name: "topic",
+  usage: "/topic [text]",
+  description: "set the room topic (empty clears it)",
+  async run(args, ctx) {
+    await ctx.setTopic(args.slice(0, MAX_TOPIC_LENGTH));
+  },
+});
+
+registerCommand({
+  name: "title",
+  usage: "/title [text]",
+  description: "set the room title (empty clears it)",
+  async run(args, ctx) {
+    await ctx.setTitle(args.slice(0, MAX_TITLE_LENGTH).trim());
+  },
+});
+
+registerCommand({
+  name: "clear",
+  usage: "/clear",
+  description: "clear the messages on your screen",
+  run(args, ctx) {
+    ctx.clearView();
+  },
+});
+
+registerCommand({
+  name: "invite",
+  usage: "/invite",
+  description: "copy a join link for this room",
+  async run(args, ctx) {
+    const link = await ctx.copyInvite();
+    ctx.notify(`Invite link copied: ${link}`);
+  },
+});
+
+registerCommand({
+  name: "help",
+  usage: "/help",
+  description: "list commands",
+  run(args, ctx) {
+    ctx.notify(
+      ["Commands:", ...commands.map((c) => `${c.usage} — ${c.description}`)].join("\n")
+    );
+  },
+});
@@ -0,0 +1,29 @@
+// src/commands.test.js
+import { describe, expect, it, vi } from "vitest";
+import { parseCommand, runCommand } from "./commands";
+
+function context(overrides) {
+  return { notify: vi.fn(), rename: vi.fn(), post: vi.fn(async () => true), ...overrides };
+}
+
+describe("runCommand", () => {
+  it("reports a refused command so the composer keeps the text", async () => {
+    expect(await runCommand(parseCommand("/me"), context())).toBe(false);
+    expect(await runCommand(parseCommand("/nick   "), context())).toBe(false);
+    expect(await runCommand(parseCommand("/nope"), context())).toBe(false);
+    // muted, slow mode or locked: the post itself says no
+    expect(await runCommand(parseCommand("/me waves"), context({ post: vi.fn(async () => false) }))).toBe(false);
+  });
+
+  it("reports a command that ran", async () => {
+    const ctx = context();
+    expect(await runCommand(parseCommand("/me waves"), ctx)).toBe(true);
+    expect(ctx.post).toHaveBeenCalledWith("waves", { kind: "action" });
+  });
+
+  it("caps /nick at the display-name limit", async () => {
+    const ctx = context();
+    await runCommand(parseCommand(`/nick ${"x".repeat(60)}`), ctx);
+    expect(ctx.rename).toHaveBeenCalledWith("x".repeat(40));
+  });
+});
@@ -0,0 +1,147 @@
+// src/fileTransfer.js
+// typed frames for the P2P DataChannel and chunked file sending with backpressure.
+//
+// string frames are JSON control messages:
+//   { t: "text", text }
+//   { t: "file-meta", id, name, size, mime, sha256 }
+//   { t: "file-cancel", id }
+// binary frames carry file data: [1 byte id length][id utf-8][8 byte offset][payload]
+
+export const CHUNK_SIZE = 16 * 1024;
+export const MAX_FILE_SIZE = 50 * 1024 * 1024;
+// incoming files are held in memory until verified; cap what one room buffers at once
+export const MAX_INCOMING_BYTES = 4 * MAX_FILE_SIZE;
+
+// pause sending above HIGH_WATER buffered bytes, continue once below LOW_WATER
+const HIGH_WATER = 1024 * 1024;
+const LOW_WATER = 256 * 1024;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+export function textFrame(text) {
+  return JSON.stringify({ t: "text", text });
+}
+
+export function controlFrame(frame) {
+  return JSON.stringify(frame);
+}
+
+function chunkFrame(id, offset, payload) {
+  const idBytes = encoder.encode(id);
+  const buf = new Uint8Array(1 + idBytes.length + 8 + payload.byteLength);
+  buf[0] = idBytes.length;
+  buf.set(idBytes, 1);
+  new DataView(buf.buffer).setFloat64(1 + idBytes.length, offset);
+  buf.set(new Uint8Array(payload), 1 + idBytes.length + 8);
+  return buf.buffer;
+}
+
+// malformed binary frame; fileId is set when the id could still be read
+function badChunk(message, fileId) {
+  const err = new Error(message);
+  err.fileId = fileId;
+  return err;
+}
+
+const isString = (v) => typeof v === "string";
+const isId = (v) => isString(v) && v.length > 0;
+
+// field checks per control frame type; a peer can send anything
+const FRAME_CHECKS = {
+  text: (f) => isString(f.text),
+  "file-meta": (f) => isId(f.id) && isString(f.name) && isString(f.mime) && isString(f.sha256),
+  "file-cancel": (f) => isId(f.id),
+};
+
+// string | ArrayBuffer -> frame object; raw strings from older peers count as text.
+// null for a control frame of an unknown type or with mistyped fields (drop it);
+// throws on a binary frame that isn't a well-formed chunk.
+export function parseFrame(data) {
+  if (typeof data === "string") {
+    let frame;
+    try {
+      frame = JSON.parse(data);
+    } catch {
+      // not JSON: plain text
+    }
+    if (!frame || typeof frame.t !== "string") return { t: "text", text: data };
+    const check = Object.hasOwn(FRAME_CHECKS, frame.t) ? FRAME_CHECKS[frame.t] : null;
+    return check && check(frame) ? frame : null;
+  }
+  const bytes = new Uint8Array(data);
+  const idLength = bytes[0];
+  if (!idLength || bytes.length < 1 + idLength) throw badChunk("malformed file chunk", null);
+  const id = decoder.decode(bytes.subarray(1, 1 + idLength));
+  if (bytes.length < 1 + idLength + 8) throw badChunk("truncated file chunk", id);
+  const offset = new DataView(data).getFloat64(1 + idLength);
+  if (!Number.isSafeInteger(offset) || offset < 0) throw badChunk("bad file chunk offset", id);
+  return { t: "file-chunk", id, offset, payload: data.slice(1 + idLength + 8) };
+}
+
+export async function sha256Hex(blobOrBuffer) {
+  const buffer = blobOrBuffer instanceof Blob ? await blobOrBuffer.arrayBuffer() : blobOrBuffer;
+  const digest = await crypto.subtle.digest("SHA-256", buffer);
+  return [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+function waitForDrain(dc) {
+  if (dc.bufferedAmount <= HIGH_WATER) return Promise.resolve();
+  return new Promise((resolve) => {
+    dc.bufferedAmountLowThreshold = LOW_WATER;
+    const done = () => {
+      dc.removeEventListener("bufferedamountlow", done);
+      dc.removeEventListener("close", done);
+      resolve();
+    };
+    dc.addEventListener("bufferedamountlow", done);
+    dc.addEventListener("close", done);
+  });
+}
+
+// one outgoing file to one channel. pause() keeps the offset so resume() continues
+// where it stopped; cancel() tells the receiver to drop what it has.
+export function createSender(dc, file, id, { onProgress, onDone } = {}) {
+  let offset = 0;
+  let paused = false;
+  let cancelled = false;
+  let running = false;
+
+  async function pump() {
+    if (running) return;
+    running = true;
+    try {
+      while (offset < file.size && !paused && !cancelled) {
+        if (dc.readyState !== "open") throw new Error("channel closed");
+        await waitForDrain(dc);
+        if (paused || cancelled) break;
+        const payload = await file.slice(offset, offset + CHUNK_SIZE).arrayBuffer();
+        dc.send(chunkFrame(id, offset, payload));
+        offset += payload.byteLength;
+        if (onProgress) onProgress(offset);
+      }
+      if (offset >= file.size && !cancelled && onDone) onDone(null);
+    } catch (err) {
+      if (onDone) onDone(err);
+    } finally {
+      running = false;
+    }
+  }
+
+  return {
+    start: pump,
+    pause() {
+      paused = true;
+    },
+    resume() {
+      if (cancelled) return;
+      paused = false;
+      pump();
+    },
+    cancel() {
+      if (cancelled) return;
+      cancelled = true;
+      if (dc.readyState === "open") dc.send(controlFrame({ t: "file-cancel", id }));
+    },
+  };
+}
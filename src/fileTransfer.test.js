@@ -0,0 +1,54 @@
+// src/fileTransfer.test.js
+import { describe, expect, it } from "vitest";
+import { parseFrame, textFrame } from "./fileTransfer";
+
+// [id length][id][offset][payload], as createSender sends it
+function chunk(id, offset, payload = [1, 2, 3]) {
+  const idBytes = new TextEncoder().encode(id);
+  const buf = new Uint8Array(1 + idBytes.length + 8 + payload.length);
+  buf[0] = idBytes.length;
+  buf.set(idBytes, 1);
+  new DataView(buf.buffer).setFloat64(1 + idBytes.length, offset);
+  buf.set(payload, 1 + idBytes.length + 8);
+  return buf.buffer;
+}
+
+describe("parseFrame", () => {
+  it("reads text and control frames", () => {
+    expect(parseFrame(textFrame("hi"))).toEqual({ t: "text", text: "hi" });
+    expect(parseFrame("plain")).toEqual({ t: "text", text: "plain" });
+  });
+
+  it("drops control frames with mistyped fields or an unknown type", () => {
+    const meta = { t: "file-meta", id: "f1", name: "a.png", size: 3, mime: "image/png", sha256: "00" };
+    expect(parseFrame(JSON.stringify(meta))).toEqual(meta);
+    expect(parseFrame(JSON.stringify({ t: "text", text: {} }))).toBeNull();
+    expect(parseFrame(JSON.stringify({ ...meta, mime: 42 }))).toBeNull();
+    expect(parseFrame(JSON.stringify({ ...meta, name: null }))).toBeNull();
+    expect(parseFrame(JSON.stringify({ ...meta, sha256: ["00"] }))).toBeNull();
+    expect(parseFrame(JSON.stringify({ ...meta, id: "" }))).toBeNull();
+    expect(parseFrame(JSON.stringify({ t: "file-cancel", id: 7 }))).toBeNull();
+    expect(parseFrame(JSON.stringify({ t: "toString" }))).toBeNull();
+  });
+
+  it("treats JSON that isn't a frame as text", () => {
+    expect(parseFrame("42")).toEqual({ t: "text", text: "42" });
+    expect(parseFrame('{"a":1}')).toEqual({ t: "text", text: '{"a":1}' });
+  });
+
+  it("reads a file chunk", () => {
+    const frame = parseFrame(chunk("abc", 16384));
+    expect(frame).toMatchObject({ t: "file-chunk", id: "abc", offset: 16384 });
+    expect([...new Uint8Array(frame.payload)]).toEqual([1, 2, 3]);
+  });
+
+  it("rejects malformed chunks, naming the file when it can", () => {
+    expect(() => parseFrame(new ArrayBuffer(0))).toThrow("malformed");
+    expect(() => parseFrame(new Uint8Array([40, 1, 2]).buffer)).toThrow("malformed");
+
+    const truncated = chunk("abc", 0).slice(0, 6);
+    expect(() => parseFrame(truncated)).toThrow(expect.objectContaining({ fileId: "abc" }));
+    expect(() => parseFrame(chunk("abc", -1))).toThrow(expect.objectContaining({ fileId: "abc" }));
+    expect(() => parseFrame(chunk("abc", 0.5))).toThrow("offset");
+  });
+});
@@ -15,8 +15,18 @@
 // const app = initializeApp(firebaseConfig);
 // export const db = getDatabase(app);
 // src/firebase.ts
+// the Firebase app, if this build has one. set VITE_FIREBASE_* for a real project,
+// or VITE_FIREBASE_EMULATOR_HOST (e.g. "localhost:9000") to use the local Database
+// emulator (and VITE_FIREBASE_AUTH_EMULATOR_URL, default http://localhost:9099, for
+// the Auth emulator). without either, the build must opt in to the in-memory demo
+// backend with VITE_CHAT_BACKEND=memory (`db` and `auth` are then null and users get
+// a local guest identity); anything else is a misconfigured deploy and fails here,
+// rather than passing for a working chat that nobody else can see.
 import { initializeApp } from "firebase/app";
-import { getDatabase } from "firebase/database";
+import { getDatabase, connectDatabaseEmulator } from "firebase/database";
+import { getAuth, connectAuthEmulator } from "firebase/auth";
+
+const emulatorHost = import.meta.env.VITE_FIREBASE_EMULATOR_HOST;
 
 const firebaseConfig = {
   apiKey: import.meta.env.VITE_FIREBASE_API_KEY,
@@ -28,10 +38,36 @@ const firebaseConfig = {
   appId: import.meta.env.VITE_FIREBASE_APP_ID,
 };
 
-if (!firebaseConfig.apiKey) {
-  throw new Error("Missing Firebase env vars. Make sure VITE_FIREBASE_* are set.");
+// the emulator accepts any "demo-" project without real credentials
+if (emulatorHost && !firebaseConfig.projectId) {
+  firebaseConfig.projectId = "demo-goatsloth";
+}
+if (emulatorHost && !firebaseConfig.apiKey) {
+  firebaseConfig.apiKey = "demo-key";
+}
+if (emulatorHost && !firebaseConfig.databaseURL) {
+  firebaseConfig.databaseURL = `http://${emulatorHost}?ns=${firebaseConfig.projectId}`;
+}
+
+export const firebaseConfigured = !!firebaseConfig.apiKey;
+
+if (!firebaseConfigured && import.meta.env.VITE_CHAT_BACKEND !== "memory") {
+  throw new Error(
+    "Firebase is not configured: set VITE_FIREBASE_* (or VITE_FIREBASE_EMULATOR_HOST), " +
+      "or VITE_CHAT_BACKEND=memory to run the in-memory demo backend."
+  );
+}
+
+const app = firebaseConfigured ? initializeApp(firebaseConfig) : null;
+export const db = app ? getDatabase(app) : null;
+export const auth = app ? getAuth(app) : null;
+
+if (app && emulatorHost) {
+  const [host, port] = emulatorHost.split(":");
+  connectDatabaseEmulator(db, host, Number(port) || 9000);
+  connectAuthEmulator(auth, import.meta.env.VITE_FIREBASE_AUTH_EMULATOR_URL || "http://localhost:9099", {
+    disableWarnings: true,
+  });
 }
 
-const app = initializeApp(firebaseConfig);
-export const db = getDatabase(app);
 export default app;
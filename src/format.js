@@ -0,0 +1,236 @@
+// src/format.js
+// message formatter: turns plain message text into a small node tree that the
+// UI renders as React elements. it never produces HTML strings, so nothing from
+// a message can reach the DOM as markup.
+//
+// supported: **bold**, *italic* / _italic_, `inline code`, ``` fenced blocks ```,
+// http(s) links and @name mentions of current participants.
+//
+// parsing is linear in the message length: closing delimiters are found from a
+// precomputed list, and emphasis nests at most MAX_DEPTH levels.
+
+// sticky: matched in place at the current position
+const URL_RE = /https?:\/\/[^\s<>"'`]+/iy;
+const TRAILING_PUNCT_RE = /[.,;:!?'")\]}]+$/;
+const WORD_CHAR_RE = /[\p{L}\p{N}_]/u;
+const SPACE_RE = /\s/;
+const OPEN_FENCE_RE = /^\s*```\s*([\w+-]*)\s*$/;
+const CLOSE_FENCE_RE = /^\s*```\s*$/;
+const MAX_DEPTH = 6;
+// parsed messages kept per participants map
+const PARSE_CACHE_SIZE = 1000;
+
+function isWordChar(ch) {
+  return !!ch && WORD_CHAR_RE.test(ch);
+}
+
+// only plain http(s) urls become links
+export function safeHref(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === "http:" || parsed.protocol === "https:" ? parsed.href : null;
+  } catch {
+    return null;
+  }
+}
+
+// participants map ({ id: { id, name } }) -> names to match, longest first
+function mentionCandidates(participants) {
+  return Object.values(participants || {})
+    .filter((p) => p && p.id && typeof p.name === "string" && p.name.trim())
+    .map((p) => ({ id: p.id, name: p.name.trim(), lower: p.name.trim().toLowerCase() }))
+    .sort((a, b) => b.name.length - a.name.length);
+}
+
+// "@name" at position i (pointing at "@"), resolved against the candidates
+function matchMention(text, i, candidates) {
+  if (text[i] !== "@" || isWordChar(text[i - 1])) return null;
+  for (const c of candidates) {
+    const end = i + 1 + c.name.length;
+    if (text.slice(i + 1, end).toLowerCase() === c.lower && !isWordChar(text[end])) {
+      return { node: { type: "mention", userId: c.id, name: c.name }, end };
+    }
+  }
+  return null;
+}
+
+// every position that can close an emphasis run, in order: a closer never
+// follows whitespace, and "_" never runs into a word
+function closersFor(text) {
+  const closers = { "**": [], "*": [], _: [] };
+  for (let j = 1; j < text.length; j++) {
+    if (SPACE_RE.test(text[j - 1])) continue;
+    if (text[j] === "*") {
+      closers["*"].push(j);
+      if (text[j + 1] === "*") closers["**"].push(j);
+    } else if (text[j] === "_" && !isWordChar(text[j + 1])) {
+      closers._.push(j);
+    }
+  }
+  return closers;
+}
+
+// closing delimiter for an emphasis run whose text starts at `from`, or -1
+function findClose(text, from, positions) {
+  if (from >= text.length || SPACE_RE.test(text[from])) return -1;
+  let lo = 0;
+  let hi = positions.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (positions[mid] <= from) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo < positions.length ? positions[lo] : -1;
+}
+
+function parseInline(text, candidates, depth = 0) {
+  const nodes = [];
+  const closers = closersFor(text);
+  let buf = "";
+  let i = 0;
+
+  // emphasis past MAX_DEPTH stays plain text
+  function inner(from, to) {
+    const slice = text.slice(from, to);
+    return depth < MAX_DEPTH ? parseInline(slice, candidates, depth + 1) : [{ type: "text", text: slice }];
+  }
+
+  function flush() {
+    if (buf) nodes.push({ type: "text", text: buf });
+    buf = "";
+  }
+
+  while (i < text.length) {
+    const ch = text[i];
+
+    if (ch === "`") {
+      const end = text.indexOf("`", i + 1);
+      if (end > i + 1) {
+        flush();
+        nodes.push({ type: "code", text: text.slice(i + 1, end) });
+        i = end + 1;
+        continue;
+      }
+    }
+
+    if (ch === "*" && text[i + 1] === "*") {
+      const end = findClose(text, i + 2, closers["**"]);
+      if (end !== -1) {
+        flush();
+        nodes.push({ type: "bold", children: inner(i + 2, end) });
+        i = end + 2;
+        continue;
+      }
+    }
+
+    if ((ch === "*" || ch === "_") && !(ch === "_" && isWordChar(text[i - 1]))) {
+      const end = findClose(text, i + 1, closers[ch]);
+      if (end !== -1) {
+        flush();
+        nodes.push({ type: "italic", children: inner(i + 1, end) });
+        i = end + 1;
+        continue;
+      }
+    }
+
+    if ((ch === "h" || ch === "H") && !isWordChar(text[i - 1])) {
+      URL_RE.lastIndex = i;
+      const m = URL_RE.exec(text);
+      if (m) {
+        const raw = m[0].replace(TRAILING_PUNCT_RE, "");
+        const href = safeHref(raw);
+        if (href) {
+          flush();
+          nodes.push({ type: "link", href, text: raw });
+          i += raw.length;
+          continue;
+        }
+      }
+    }
+
+    if (ch === "@") {
+      const mention = matchMention(text, i, candidates);
+      if (mention) {
+        flush();
+        nodes.push(mention.node);
+        i = mention.end;
+        continue;
+      }
+    }
+
+    buf += ch;
+    i += 1;
+  }
+
+  flush();
+  return nodes;
+}
+
+function parseBlocks(text, candidates) {
+  const blocks = [];
+  const lines = String(text || "").split("\n");
+  let para = [];
+
+  function flushPara() {
+    if (para.length) blocks.push({ type: "paragraph", children: parseInline(para.join("\n"), candidates) });
+    para = [];
+  }
+
+  // next closing fence after each line, or -1
+  const nextClose = new Array(lines.length);
+  for (let j = lines.length - 1, next = -1; j >= 0; j--) {
+    nextClose[j] = next;
+    if (CLOSE_FENCE_RE.test(lines[j])) next = j;
+  }
+
+  for (let i = 0; i < lines.length; i++) {
+    const fence = OPEN_FENCE_RE.exec(lines[i]);
+    if (fence) {
+      const close = nextClose[i];
+      if (close !== -1) {
+        flushPara();
+        blocks.push({ type: "codeblock", lang: fence[1] || "", text: lines.slice(i + 1, close).join("\n") });
+        i = close;
+        continue;
+      }
+    }
+    para.push(lines[i]);
+  }
+  flushPara();
+  return blocks;
+}
+
+// participants map -> { candidates, byText }; a new map (someone joined, left
+// or renamed) starts a fresh cache
+const parseCaches = new WeakMap();
+const NO_PARTICIPANTS = {};
+
+// text -> [{ type: "paragraph", children } | { type: "codeblock", lang, text }].
+// results are cached, so a row can ask more than once per render; treat them
+// as read-only.
+export function parseMessage(text, participants) {
+  const key = participants || NO_PARTICIPANTS;
+  let cache = parseCaches.get(key);
+  if (!cache) {
+    cache = { candidates: mentionCandidates(participants), byText: new Map() };
+    parseCaches.set(key, cache);
+  }
+  const source = String(text || "");
+  let blocks = cache.byText.get(source);
+  if (!blocks) {
+    blocks = parseBlocks(source, cache.candidates);
+    if (cache.byText.size >= PARSE_CACHE_SIZE) cache.byText.delete(cache.byText.keys().next().value);
+    cache.byText.set(source, blocks);
+  }
+  return blocks;
+}
+
+// true when the text mentions the given user
+export function mentionsUser(text, participants, userId) {
+  if (!text || !userId || text.indexOf("@") === -1) return false;
+  const found = (nodes) =>
+    nodes.some((n) =>
+      n.type === "mention" ? n.userId === userId : n.children ? found(n.children) : false
+    );
+  return found(parseMessage(text, participants));
+}
@@ -0,0 +1,130 @@
+// src/format.test.js
+import { describe, expect, it } from "vitest";
+import { parseMessage, mentionsUser, safeHref } from "./format";
+
+// inline nodes of a one-paragraph message
+function inline(text, participants) {
+  const blocks = parseMessage(text, participants);
+  expect(blocks).toHaveLength(1);
+  expect(blocks[0].type).toBe("paragraph");
+  return blocks[0].children;
+}
+
+describe("emphasis and code", () => {
+  it("parses bold, italic and inline code", () => {
+    expect(inline("a **b** *c* _d_ `e`")).toEqual([
+      { type: "text", text: "a " },
+      { type: "bold", children: [{ type: "text", text: "b" }] },
+      { type: "text", text: " " },
+      { type: "italic", children: [{ type: "text", text: "c" }] },
+      { type: "text", text: " " },
+      { type: "italic", children: [{ type: "text", text: "d" }] },
+      { type: "text", text: " " },
+      { type: "code", text: "e" },
+    ]);
+  });
+
+  it("nests emphasis", () => {
+    expect(inline("**bold _and italic_**")).toEqual([
+      {
+        type: "bold",
+        children: [
+          { type: "text", text: "bold " },
+          { type: "italic", children: [{ type: "text", text: "and italic" }] },
+        ],
+      },
+    ]);
+  });
+
+  it("leaves unmatched or space-padded delimiters alone", () => {
+    expect(inline("2 * 3 * 4")).toEqual([{ type: "text", text: "2 * 3 * 4" }]);
+    expect(inline("**open only")).toEqual([{ type: "text", text: "**open only" }]);
+    expect(inline("snake_case_name")).toEqual([{ type: "text", text: "snake_case_name" }]);
+  });
+
+  it("does not format inside inline code", () => {
+    expect(inline("`**x**`")).toEqual([{ type: "code", text: "**x**" }]);
+  });
+
+  it("stays linear on long runs of delimiters", () => {
+    const text = "*a ".repeat(20000) + "_b ".repeat(20000) + "@".repeat(20000) + " h".repeat(20000);
+    const started = performance.now();
+    parseMessage(text, { u1: { id: "u1", name: "Someone" } });
+    expect(performance.now() - started).toBeLessThan(500);
+  });
+});
+
+describe("code blocks", () => {
+  it("turns fenced lines into a code block with its language", () => {
+    expect(parseMessage("before\n```js\nconst a = 1;\n**x**\n```\nafter")).toEqual([
+      { type: "paragraph", children: [{ type: "text", text: "before" }] },
+      { type: "codeblock", lang: "js", text: "const a = 1;\n**x**" },
+      { type: "paragraph", children: [{ type: "text", text: "after" }] },
+    ]);
+  });
+
+  it("keeps an unclosed fence as text", () => {
+    expect(parseMessage("```\nno end")).toEqual([
+      { type: "paragraph", children: [{ type: "text", text: "```\nno end" }] },
+    ]);
+  });
+});
+
+describe("links", () => {
+  it("links http and https urls", () => {
+    expect(inline("see https://example.com/a?b=1 and http://x.org")).toEqual([
+      { type: "text", text: "see " },
+      { type: "link", href: "https://example.com/a?b=1", text: "https://example.com/a?b=1" },
+      { type: "text", text: " and " },
+      { type: "link", href: "http://x.org/", text: "http://x.org" },
+    ]);
+  });
+
+  it("leaves trailing punctuation out of the link", () => {
+    expect(inline("(go to https://example.com/page).")).toEqual([
+      { type: "text", text: "(go to " },
+      { type: "link", href: "https://example.com/page", text: "https://example.com/page" },
+      { type: "text", text: ")." },
+    ]);
+  });
+
+  it("never links other schemes", () => {
+    expect(inline("javascript:alert(1)")).toEqual([{ type: "text", text: "javascript:alert(1)" }]);
+    expect(inline("ftp://example.com")).toEqual([{ type: "text", text: "ftp://example.com" }]);
+    expect(safeHref("javascript:alert(1)")).toBeNull();
+    expect(safeHref("JAVASCRIPT:alert(1)")).toBeNull();
+    expect(safeHref("data:text/html,<script>alert(1)</script>")).toBeNull();
+    expect(safeHref("https://example.com")).toBe("https://example.com/");
+  });
+});
+
+describe("mentions", () => {
+  const participants = {
+    u1: { id: "u1", name: "Ann" },
+    u2: { id: "u2", name: "Ann Lee" },
+    u3: { id: "u3", name: "Bob" },
+  };
+
+  it("matches the longest participant name first", () => {
+    expect(inline("hi @ann lee!", participants)).toEqual([
+      { type: "text", text: "hi " },
+      { type: "mention", userId: "u2", name: "Ann Lee" },
+      { type: "text", text: "!" },
+    ]);
+    expect(inline("@Ann, hi", participants)).toEqual([
+      { type: "mention", userId: "u1", name: "Ann" },
+      { type: "text", text: ", hi" },
+    ]);
+  });
+
+  it("ignores partial names and email addresses", () => {
+    expect(inline("@Bobby", participants)).toEqual([{ type: "text", text: "@Bobby" }]);
+    expect(inline("me@Bob", participants)).toEqual([{ type: "text", text: "me@Bob" }]);
+  });
+
+  it("tells whether a user is mentioned", () => {
+    expect(mentionsUser("**hey @Bob**", participants, "u3")).toBe(true);
+    expect(mentionsUser("hey @Ann Lee", participants, "u1")).toBe(false);
+    expect(mentionsUser("`@Bob`", participants, "u3")).toBe(false);
+  });
+});
@@ -0,0 +1,34 @@
+// src/iceServers.js
+// RTCPeerConnection config for P2P rooms, built from env:
+//   VITE_STUN_URLS       comma-separated stun: urls (default: google's public stun)
+//   VITE_TURN_URLS       comma-separated turn:/turns: urls
+//   VITE_TURN_USERNAME   turn username
+//   VITE_TURN_CREDENTIAL turn password
+// without TURN, peers behind symmetric NATs may not connect at all.
+
+const DEFAULT_STUN = "stun:stun.l.google.com:19302";
+
+function urlList(value) {
+  return String(value || "")
+    .split(",")
+    .map((u) => u.trim())
+    .filter(Boolean);
+}
+
+export function iceServers(env = import.meta.env) {
+  const servers = [];
+  const stun = urlList(env.VITE_STUN_URLS);
+  servers.push({ urls: stun.length ? stun : [DEFAULT_STUN] });
+
+  const turn = urlList(env.VITE_TURN_URLS);
+  if (turn.length) {
+    if (!env.VITE_TURN_USERNAME || !env.VITE_TURN_CREDENTIAL) {
+      console.warn("VITE_TURN_URLS is set without VITE_TURN_USERNAME/VITE_TURN_CREDENTIAL; skipping TURN.");
+    } else {
+      servers.push({ urls: turn, username: env.VITE_TURN_USERNAME, credential: env.VITE_TURN_CREDENTIAL });
+    }
+  }
+  return servers;
+}
+
+export const RTC_CONFIG = { iceServers: iceServers() };
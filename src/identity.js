@@ -0,0 +1,163 @@
+// src/identity.js
+// who the user is. with Firebase this is Firebase Auth: everyone starts as an
+// anonymous user and can upgrade that account with email/password (keeping the
+// same uid), or sign in to an existing account. without Firebase it's a local
+// guest id kept in localStorage.
+//
+//   watchUser(cb) -> unsubscribe    cb({ uid, anonymous, email, displayName } | null)
+//   ready() -> Promise<user>        the signed-in user, signing in anonymously if needed
+//   signIn(email, password)
+//   upgrade(email, password)        anonymous account -> email/password account
+//   signOut()                       back to a fresh anonymous user
+//   setDisplayName(name)
+//   supportsAccounts                false for the local guest identity
+import {
+  onAuthStateChanged,
+  signInAnonymously,
+  signInWithEmailAndPassword,
+  linkWithCredential,
+  EmailAuthProvider,
+  updateProfile,
+  signOut,
+} from "firebase/auth";
+import { v4 as uuidv4 } from "uuid";
+import { auth } from "./firebase";
+
+function toUser(u) {
+  return u
+    ? { uid: u.uid, anonymous: u.isAnonymous, email: u.email || null, displayName: u.displayName || null }
+    : null;
+}
+
+// readable messages for the auth errors people actually hit
+function authError(err) {
+  const messages = {
+    "auth/invalid-credential": "Wrong email or password.",
+    "auth/wrong-password": "Wrong email or password.",
+    "auth/user-not-found": "Wrong email or password.",
+    "auth/email-already-in-use": "That email already has an account — sign in instead.",
+    "auth/credential-already-in-use": "That email already has an account — sign in instead.",
+    "auth/weak-password": "Use a password of at least 6 characters.",
+    "auth/invalid-email": "That doesn't look like an email address.",
+  };
+  return new Error(messages[err.code] || err.message || String(err));
+}
+
+function createFirebaseIdentity() {
+  let signingIn = null;
+
+  function ensureUser() {
+    if (auth.currentUser) return Promise.resolve(auth.currentUser);
+    if (!signingIn) {
+      signingIn = signInAnonymously(auth)
+        .then((cred) => cred.user)
+        .finally(() => {
+          signingIn = null;
+        });
+    }
+    return signingIn;
+  }
+
+  return {
+    supportsAccounts: true,
+
+    watchUser(cb) {
+      return onAuthStateChanged(auth, (u) => {
+        if (u) cb(toUser(u));
+        else {
+          cb(null);
+          ensureUser().catch((err) => console.error("anonymous sign-in error:", err));
+        }
+      });
+    },
+
+    async ready() {
+      await auth.authStateReady();
+      return toUser(await ensureUser());
+    },
+
+    async signIn(email, password) {
+      try {
+        await signInWithEmailAndPassword(auth, email, password);
+      } catch (err) {
+        throw authError(err);
+      }
+    },
+
+    async upgrade(email, password) {
+      const user = await ensureUser();
+      try {
+        await linkWithCredential(user, EmailAuthProvider.credential(email, password));
+      } catch (err) {
+        throw authError(err);
+      }
+    },
+
+    async signOut() {
+      await signOut(auth);
+    },
+
+    async setDisplayName(name) {
+      const user = await ensureUser();
+      await updateProfile(user, { displayName: name });
+    },
+  };
+}
+
+const GUEST_ID_KEY = "chat_user_id";
+const GUEST_NAME_KEY = "chat_user_name";
+
+function createLocalIdentity() {
+  const watchers = new Set();
+  let user = null;
+
+  function load() {
+    let uid = localStorage.getItem(GUEST_ID_KEY);
+    if (!uid) {
+      uid = uuidv4();
+      localStorage.setItem(GUEST_ID_KEY, uid);
+    }
+    user = { uid, anonymous: true, email: null, displayName: localStorage.getItem(GUEST_NAME_KEY) };
+    return user;
+  }
+
+  function emit() {
+    watchers.forEach((cb) => cb(user));
+  }
+
+  const noAccounts = async () => {
+    throw new Error("Accounts need a Firebase project.");
+  };
+
+  return {
+    supportsAccounts: false,
+
+    watchUser(cb) {
+      watchers.add(cb);
+      cb(user || load());
+      return () => watchers.delete(cb);
+    },
+
+    async ready() {
+      return user || load();
+    },
+
+    signIn: noAccounts,
+    upgrade: noAccounts,
+
+    async signOut() {
+      localStorage.removeItem(GUEST_ID_KEY);
+      localStorage.removeItem(GUEST_NAME_KEY);
+      load();
+      emit();
+    },
+
+    async setDisplayName(name) {
+      localStorage.setItem(GUEST_NAME_KEY, name);
+      user = { ...(user || load()), displayName: name };
+      emit();
+    },
+  };
+}
+
+export const identity = auth ? createFirebaseIdentity() : createLocalIdentity();
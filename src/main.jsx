@@ -1,10 +1,22 @@
 import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
+import { BrowserRouter, Navigate, Route, Routes } from 'react-router-dom'
 import './index.css'
 import App from './App.jsx'
+import Room from './Room.jsx'
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <App />
+    <BrowserRouter>
+      <Routes>
+        {/* lobby and relayed rooms share one App so joined rooms stay mounted */}
+        <Route element={<App />}>
+          <Route index element={null} />
+          <Route path="r/:roomId" element={null} />
+        </Route>
+        <Route path="p2p/:roomId" element={<Room />} />
+        <Route path="*" element={<Navigate to="/" replace />} />
+      </Routes>
+    </BrowserRouter>
   </StrictMode>,
 )
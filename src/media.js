@@ -0,0 +1,78 @@
+// src/media.js
+// local camera/microphone/screen streams for the P2P call.
+//
+// with ?fakemedia in the url the call uses a generated stream (animated canvas +
+// tone) instead of real devices, so it can be driven from a headless browser
+// that has no camera. chromium can also use its own fake devices:
+//   --use-fake-device-for-media-stream --use-fake-ui-for-media-stream
+
+export function wantsFakeMedia() {
+  return new URLSearchParams(window.location.search).has("fakemedia");
+}
+
+// canvas video + oscillator audio; stop() on the tracks also stops the generators
+function fakeStream({ audio, video }) {
+  const tracks = [];
+
+  if (video) {
+    const canvas = document.createElement("canvas");
+    canvas.width = 320;
+    canvas.height = 240;
+    const ctx = canvas.getContext("2d");
+    let frame = 0;
+    const timer = setInterval(() => {
+      frame += 1;
+      ctx.fillStyle = `hsl(${frame % 360}, 60%, 35%)`;
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+      ctx.fillStyle = "#fff";
+      ctx.font = "24px monospace";
+      ctx.fillText(`fake ${frame}`, 20, 130);
+    }, 1000 / 15);
+    const track = canvas.captureStream(15).getVideoTracks()[0];
+    const stop = track.stop.bind(track);
+    track.stop = () => {
+      clearInterval(timer);
+      stop();
+    };
+    tracks.push(track);
+  }
+
+  if (audio) {
+    const audioCtx = new AudioContext();
+    const osc = audioCtx.createOscillator();
+    const gain = audioCtx.createGain();
+    gain.gain.value = 0.05;
+    const dest = audioCtx.createMediaStreamDestination();
+    osc.connect(gain).connect(dest);
+    osc.start();
+    const track = dest.stream.getAudioTracks()[0];
+    const stop = track.stop.bind(track);
+    track.stop = () => {
+      osc.stop();
+      audioCtx.close();
+      stop();
+    };
+    tracks.push(track);
+  }
+
+  return new MediaStream(tracks);
+}
+
+// { audio, video } -> MediaStream; throws when the user denies access
+export async function getLocalMedia({ audio, video }) {
+  if (wantsFakeMedia()) return fakeStream({ audio, video });
+  if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+    throw new Error("camera and microphone are not available in this browser");
+  }
+  return navigator.mediaDevices.getUserMedia({ audio, video });
+}
+
+// a single screen video track; fake mode reuses the canvas generator
+export async function getScreenTrack() {
+  if (wantsFakeMedia()) return fakeStream({ video: true }).getVideoTracks()[0];
+  if (!navigator.mediaDevices || !navigator.mediaDevices.getDisplayMedia) {
+    throw new Error("screen sharing is not available in this browser");
+  }
+  const stream = await navigator.mediaDevices.getDisplayMedia({ video: true });
+  return stream.getVideoTracks()[0];
+}
@@ -0,0 +1,148 @@
+// src/messageStore.js
+// the messages a room holds, in order and indexed by id. push keys sort
+// chronologically, so live arrivals append and edits replace in place, each in
+// constant time; an older page is spliced in at the front without re-sorting,
+// and the rare out-of-order arrival is inserted where it belongs.
+//
+// snapshot() hands out { version, messages, indexOf, changedFrom } for the
+// current contents: a new object after every change and the same one until the
+// next, so it is what renders memoize on and effects depend on. the messages
+// array itself is updated in place and must not be changed by callers.
+// changedFrom(version) is the first position whose message may have moved since
+// that version's snapshot, so layouts built on an older one can update only
+// their tail (Infinity when nothing moved).
+
+// structural changes remembered for changedFrom(); older versions start over at 0
+const CHANGE_LOG_SIZE = 100;
+
+const byIdOrder = (a, b) => (a.id < b.id ? -1 : 1);
+
+export function createMessageStore() {
+  const byId = new Map();
+  // id -> sequence number; position = seq - base, so a prepended page only moves base
+  const seqOf = new Map();
+  let base = 0;
+  let items = [];
+  let version = 0;
+  const changes = []; // [{ version, from }] of moves, oldest first
+  let forgotten = 0; // newest version dropped from changes
+  let snapshot = null;
+
+  function renumber(from) {
+    for (let i = from; i < items.length; i++) seqOf.set(items[i].id, base + i);
+  }
+
+  // first position at or after which `id` would sort
+  function lowerBound(id) {
+    let lo = 0;
+    let hi = items.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (items[mid].id < id) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  }
+
+  function changed(from) {
+    version++;
+    snapshot = null;
+    if (from !== undefined) {
+      changes.push({ version, from });
+      if (changes.length > CHANGE_LOG_SIZE) forgotten = changes.shift().version;
+    }
+    return true;
+  }
+
+  function changedFrom(since) {
+    if (since < forgotten) return 0;
+    let from = Infinity;
+    for (let i = changes.length - 1; i >= 0 && changes[i].version > since; i--) {
+      from = Math.min(from, changes[i].from);
+    }
+    return from;
+  }
+
+  return {
+    has: (id) => byId.has(id),
+    get: (id) => byId.get(id),
+    size: () => items.length,
+
+    // messages we don't hold yet; true if anything was added
+    add(msgs) {
+      const fresh = [];
+      msgs.forEach((m) => {
+        if (byId.has(m.id)) return;
+        byId.set(m.id, m);
+        fresh.push(m);
+      });
+      if (!fresh.length) return false;
+      fresh.sort(byIdOrder);
+
+      // live arrivals
+      if (!items.length || fresh[0].id > items[items.length - 1].id) {
+        const from = items.length;
+        fresh.forEach((m) => {
+          seqOf.set(m.id, base + items.length);
+          items.push(m);
+        });
+        return changed(from);
+      }
+      // an older page
+      if (fresh[fresh.length - 1].id < items[0].id) {
+        base -= fresh.length;
+        fresh.forEach((m, i) => seqOf.set(m.id, base + i));
+        items.splice(0, 0, ...fresh);
+        return changed(0);
+      }
+      // out of order: each one where it belongs
+      let from = items.length;
+      fresh.forEach((m) => {
+        const at = lowerBound(m.id);
+        items.splice(at, 0, m);
+        from = Math.min(from, at);
+      });
+      renumber(from);
+      return changed(from);
+    },
+
+    // a newer version of a message we hold (edit, tombstone, reaction)
+    replace(msg) {
+      if (!byId.has(msg.id) || byId.get(msg.id) === msg) return false;
+      byId.set(msg.id, msg);
+      items[seqOf.get(msg.id) - base] = msg;
+      return changed();
+    },
+
+    remove(id) {
+      if (!byId.delete(id)) return false;
+      const at = seqOf.get(id) - base;
+      seqOf.delete(id);
+      items.splice(at, 1);
+      renumber(at);
+      return changed(at);
+    },
+
+    clear() {
+      if (!items.length) return false;
+      byId.clear();
+      seqOf.clear();
+      base = 0;
+      items = [];
+      return changed(0);
+    },
+
+    // oldest first; indexOf(id) is -1 for messages we don't hold
+    snapshot() {
+      if (!snapshot) {
+        snapshot = {
+          version,
+          messages: items,
+          indexOf: (id) => (seqOf.has(id) ? seqOf.get(id) - base : -1),
+          changedFrom,
+        };
+      }
+      return snapshot;
+    },
+  };
+}
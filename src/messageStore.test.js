@@ -0,0 +1,76 @@
+// src/messageStore.test.js
+import { describe, expect, it } from "vitest";
+import { createMessageStore } from "./messageStore";
+
+const msg = (id, text = id) => ({ id, text });
+const ids = (store) => store.snapshot().messages.map((m) => m.id);
+
+describe("createMessageStore", () => {
+  it("keeps messages in id order and indexes them", () => {
+    const store = createMessageStore();
+    store.add([msg("b"), msg("d")]);
+    store.add([msg("a"), msg("c")]);
+    expect(ids(store)).toEqual(["a", "b", "c", "d"]);
+    expect(store.snapshot().indexOf("c")).toBe(2);
+    expect(store.snapshot().indexOf("x")).toBe(-1);
+  });
+
+  it("hands out a new snapshot only after a change", () => {
+    const store = createMessageStore();
+    store.add([msg("a")]);
+    const first = store.snapshot();
+    expect(store.snapshot()).toBe(first);
+    expect(store.add([msg("a")])).toBe(false);
+    expect(store.snapshot()).toBe(first);
+    expect(store.add([msg("b")])).toBe(true);
+    expect(store.snapshot()).not.toBe(first);
+  });
+
+  it("replaces in place and reindexes after a removal", () => {
+    const store = createMessageStore();
+    store.add([msg("a"), msg("b"), msg("c")]);
+    store.replace(msg("b", "edited"));
+    expect(store.snapshot().messages[1].text).toBe("edited");
+    store.remove("a");
+    expect(ids(store)).toEqual(["b", "c"]);
+    expect(store.snapshot().indexOf("c")).toBe(1);
+    expect(store.replace(msg("a"))).toBe(false);
+  });
+
+  it("splices an older page in at the front", () => {
+    const store = createMessageStore();
+    store.add([msg("d"), msg("e")]);
+    store.add([msg("b"), msg("a")]);
+    expect(ids(store)).toEqual(["a", "b", "d", "e"]);
+    expect(store.snapshot().indexOf("a")).toBe(0);
+    expect(store.snapshot().indexOf("e")).toBe(3);
+    store.add([msg("c")]);
+    expect(ids(store)).toEqual(["a", "b", "c", "d", "e"]);
+    expect(store.snapshot().indexOf("d")).toBe(3);
+  });
+
+  it("reports the first position that moved since a snapshot", () => {
+    const store = createMessageStore();
+    store.add([msg("b"), msg("c")]);
+    const before = store.snapshot();
+    expect(before.changedFrom(before.version)).toBe(Infinity);
+    store.replace(msg("b", "edited"));
+    expect(store.snapshot().changedFrom(before.version)).toBe(Infinity);
+    store.add([msg("d")]);
+    expect(store.snapshot().changedFrom(before.version)).toBe(2);
+    store.remove("c");
+    expect(store.snapshot().changedFrom(before.version)).toBe(1);
+    store.add([msg("a")]);
+    expect(store.snapshot().changedFrom(before.version)).toBe(0);
+  });
+
+  it("starts over after clear", () => {
+    const store = createMessageStore();
+    store.add([msg("a")]);
+    store.clear();
+    expect(store.size()).toBe(0);
+    expect(store.snapshot().messages).toEqual([]);
+    store.add([msg("b")]);
+    expect(store.snapshot().indexOf("b")).toBe(0);
+  });
+});
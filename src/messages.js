@@ -0,0 +1,62 @@
+// src/messages.js
+// shared helpers for the message shape stored under rooms/{id}/messages
+
+// longest quoted text kept in a reply reference
+const SNIPPET_LENGTH = 120;
+
+// map a stored message to the shape the UI renders.
+// older messages may lack any of the optional fields.
+export function toMessage(id, val) {
+  if (!val) return null;
+  return {
+    id,
+    fromId: val.fromId,
+    fromName: val.fromName,
+    text: val.deleted ? "" : val.text || "",
+    // { iv, ct } instead of text in encrypted rooms (see roomCrypto.js)
+    enc: val.deleted ? null : val.enc || null,
+    at: val.at,
+    editedAt: val.editedAt || null,
+    deleted: !!val.deleted,
+    // reactions/{emoji}/{userId} = display name
+    reactions: val.deleted ? {} : val.reactions || {},
+    // replyTo = { id, fromName, text | enc } of the quoted message
+    replyTo: val.replyTo && val.replyTo.id ? val.replyTo : null,
+    // "action" for /me messages
+    kind: val.kind || null,
+    // restored from a transcript: posted by the importer on behalf of fromName
+    imported: !!val.imported,
+  };
+}
+
+// short single-line excerpt used when quoting a message
+export function snippet(text) {
+  const flat = (text || "").replace(/\s+/g, " ").trim();
+  return flat.length > SNIPPET_LENGTH ? flat.slice(0, SNIPPET_LENGTH - 1) + "…" : flat;
+}
+
+// reply reference stored on a new message
+export function replyRefFor(msg) {
+  return { id: msg.id, fromName: msg.fromName || "", text: snippet(msg.text) };
+}
+
+// time string with short format
+export function timeStr(ts) {
+  if (!ts) return "-";
+  return new Date(ts).toLocaleTimeString([], {
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+}
+
+// initials helper
+export function initialsFor(n) {
+  if (!n) return "?";
+  return n
+    .trim()
+    .split(" ")
+    .map((p) => p[0])
+    .slice(0, 2)
+    .join("")
+    .toUpperCase();
+}
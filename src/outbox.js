@@ -0,0 +1,157 @@
+// src/outbox.js
+// optimistic per-room outbox: messages are shown right away, kept in localStorage
+// until the database confirms them, and re-sent in order after reconnecting.
+import { useCallback, useEffect, useRef, useState } from "react";
+import { chat } from "./chatService";
+
+// a write that hasn't been confirmed by then is shown as failed (it may still land)
+const SEND_TIMEOUT_MS = 15000;
+
+function storageKey(roomId) {
+  return `chat_outbox_${roomId}`;
+}
+
+function loadOutbox(roomId) {
+  try {
+    const items = JSON.parse(localStorage.getItem(storageKey(roomId)) || "[]");
+    if (!Array.isArray(items)) return [];
+    // nothing is in flight after a reload
+    return items
+      .filter((item) => item && item.id && item.data)
+      .map((item) => ({ ...item, status: "sending" }));
+  } catch {
+    return [];
+  }
+}
+
+function saveOutbox(roomId, items) {
+  try {
+    if (items.length) localStorage.setItem(storageKey(roomId), JSON.stringify(items));
+    else localStorage.removeItem(storageKey(roomId));
+  } catch (err) {
+    console.error("saveOutbox error:", err);
+  }
+}
+
+// drop a room's queued messages, e.g. when leaving it
+export function clearOutbox(roomId) {
+  saveOutbox(roomId, []);
+}
+
+// items: [{ id, data, status: "sending" | "failed" }] in send order.
+// the push key is generated up front, so re-sending is idempotent.
+export function useOutbox(roomId) {
+  const [items, setItems] = useState(() => loadOutbox(roomId));
+  const itemsRef = useRef(items);
+  const flushingRef = useRef(false);
+  const mountedRef = useRef(false);
+
+  // once the room is left, late confirmations must not re-save a cleared outbox
+  useEffect(() => {
+    mountedRef.current = true;
+    return () => {
+      mountedRef.current = false;
+    };
+  }, []);
+
+  // the ref is the source of truth so queued sends always see the latest list
+  const update = useCallback(
+    (fn) => {
+      if (!mountedRef.current) return;
+      const next = fn(itemsRef.current);
+      itemsRef.current = next;
+      saveOutbox(roomId, next);
+      setItems(next);
+    },
+    [roomId]
+  );
+
+  const setStatus = useCallback(
+    (id, status) => update((prev) => prev.map((i) => (i.id === id ? { ...i, status } : i))),
+    [update]
+  );
+
+  const confirm = useCallback(
+    (ids) => {
+      const confirmed = new Set(ids);
+      if (!itemsRef.current.some((i) => confirmed.has(i.id))) return;
+      update((prev) => prev.filter((i) => !confirmed.has(i.id)));
+    },
+    [update]
+  );
+
+  // write one item; resolves true once the database has it
+  const deliver = useCallback(
+    async (item) => {
+      setStatus(item.id, "sending");
+      const timer = setTimeout(() => setStatus(item.id, "failed"), SEND_TIMEOUT_MS);
+      try {
+        await chat.sendMessage(roomId, item.id, item.data);
+        confirm([item.id]);
+        return true;
+      } catch (err) {
+        console.error("outbox send error:", err);
+        setStatus(item.id, "failed");
+        return false;
+      } finally {
+        clearTimeout(timer);
+      }
+    },
+    [roomId, setStatus, confirm]
+  );
+
+  // send everything still queued, oldest first (including items queued meanwhile).
+  // after a rejection the rest stay queued as failed so order is kept.
+  const flush = useCallback(async () => {
+    if (flushingRef.current) return;
+    flushingRef.current = true;
+    const attempted = new Set();
+    try {
+      let item;
+      while ((item = itemsRef.current.find((i) => !attempted.has(i.id)))) {
+        attempted.add(item.id);
+        if (!(await deliver(item))) {
+          update((prev) => prev.map((i) => ({ ...i, status: "failed" })));
+          break;
+        }
+      }
+    } finally {
+      flushingRef.current = false;
+    }
+  }, [deliver, update]);
+
+  // flush whenever the connection comes back (and once on load)
+  useEffect(() => {
+    return chat.watchConnected((connected) => {
+      if (connected && itemsRef.current.length) flush();
+    });
+  }, [flush]);
+
+  const enqueue = useCallback(
+    (data) => {
+      const item = { id: chat.newMessageId(roomId), data, status: "sending" };
+      update((prev) => [...prev, item]);
+      flush();
+      return item.id;
+    },
+    [roomId, update, flush]
+  );
+
+  // re-send in order; an item stuck inside a running flush is re-sent directly
+  const retry = useCallback(
+    (id) => {
+      const item = itemsRef.current.find((i) => i.id === id);
+      if (!item) return;
+      if (flushingRef.current) deliver(item);
+      else flush();
+    },
+    [deliver, flush]
+  );
+
+  const discard = useCallback(
+    (id) => update((prev) => prev.filter((i) => i.id !== id)),
+    [update]
+  );
+
+  return { items, enqueue, retry, discard, confirm };
+}
@@ -0,0 +1,37 @@
+// src/peerStats.js
+// summary of one RTCPeerConnection's getStats() report for the diagnostics panel.
+
+function describeCandidate(c) {
+  if (!c) return "—";
+  const host = c.address || c.ip || "?";
+  return `${c.candidateType} ${c.protocol || ""} ${host}:${c.port}`.replace(/\s+/g, " ");
+}
+
+// the pair ICE actually uses: the transport's pointer, else the nominated/succeeded one
+function selectedPair(report) {
+  let transport = null;
+  const pairs = [];
+  report.forEach((s) => {
+    if (s.type === "transport") transport = s;
+    else if (s.type === "candidate-pair") pairs.push(s);
+  });
+  if (transport && transport.selectedCandidatePairId) {
+    return report.get(transport.selectedCandidatePairId) || null;
+  }
+  return pairs.find((p) => p.selected) || pairs.find((p) => p.nominated && p.state === "succeeded") || null;
+}
+
+// -> { connectionState, iceState, local, remote, rttMs, bytesSent, bytesReceived }
+export async function collectStats(pc) {
+  const report = await pc.getStats();
+  const pair = selectedPair(report);
+  return {
+    connectionState: pc.connectionState,
+    iceState: pc.iceConnectionState,
+    local: describeCandidate(pair && report.get(pair.localCandidateId)),
+    remote: describeCandidate(pair && report.get(pair.remoteCandidateId)),
+    rttMs: pair && pair.currentRoundTripTime != null ? Math.round(pair.currentRoundTripTime * 1000) : null,
+    bytesSent: pair ? pair.bytesSent || 0 : 0,
+    bytesReceived: pair ? pair.bytesReceived || 0 : 0,
+  };
+}
@@ -0,0 +1,79 @@
+// src/presence.js
+// presence is kept per connection, so two tabs (or devices) of one user don't
+// take each other off the list:
+//   rooms/{id}/participants/{uid} = { id, name, joinedAt, lastSeen,
+//                                     connections/{connId}: { status, at } }
+// a connection removes itself when it drops and refreshes `at` on a heartbeat,
+// so one that vanished without a clean disconnect still goes stale.
+import { useEffect, useState } from "react";
+
+export const HEARTBEAT_MS = 60 * 1000;
+// display names, as the database rules allow them
+export const MAX_NAME_LENGTH = 40;
+const STALE_MS = 3 * HEARTBEAT_MS;
+
+// no pointer or keyboard input for this long counts as away
+const IDLE_MS = 5 * 60 * 1000;
+const ACTIVITY_EVENTS = ["pointerdown", "pointermove", "keydown", "wheel", "touchstart"];
+
+// participant -> { status: "online" | "away" | "offline", lastSeen }
+export function presenceOf(participant, now) {
+  const live = Object.values((participant && participant.connections) || {}).filter(
+    (c) => c && typeof c.at === "number" && now - c.at < STALE_MS
+  );
+  const lastSeen = Math.max(
+    (participant && participant.lastSeen) || 0,
+    ...Object.values((participant && participant.connections) || {}).map((c) => (c && c.at) || 0)
+  );
+  if (!live.length) return { status: "offline", lastSeen: lastSeen || null };
+  return { status: live.some((c) => c.status === "online") ? "online" : "away", lastSeen };
+}
+
+export function countOnline(participants, now) {
+  return Object.values(participants || {}).filter((p) => presenceOf(p, now).status !== "offline").length;
+}
+
+// "just now", "5 min ago", "3 h ago", or a date
+export function lastSeenLabel(at, now) {
+  if (!at) return "";
+  const minutes = Math.floor((now - at) / 60000);
+  if (minutes < 1) return "just now";
+  if (minutes < 60) return `${minutes} min ago`;
+  if (minutes < 24 * 60) return `${Math.floor(minutes / 60)} h ago`;
+  return new Date(at).toLocaleDateString();
+}
+
+// "online" while the tab is visible and in use, "away" when hidden or idle
+export function usePresenceStatus() {
+  const [hidden, setHidden] = useState(() => document.visibilityState === "hidden");
+  const [idle, setIdle] = useState(false);
+
+  useEffect(() => {
+    let lastActivity = Date.now();
+    let timer = setTimeout(() => setIdle(true), IDLE_MS);
+
+    function onVisibility() {
+      setHidden(document.visibilityState === "hidden");
+    }
+
+    // pointermove fires a lot; restarting the timer once a second is plenty
+    function onActivity() {
+      const now = Date.now();
+      if (now - lastActivity < 1000) return;
+      lastActivity = now;
+      setIdle(false);
+      clearTimeout(timer);
+      timer = setTimeout(() => setIdle(true), IDLE_MS);
+    }
+
+    document.addEventListener("visibilitychange", onVisibility);
+    ACTIVITY_EVENTS.forEach((type) => window.addEventListener(type, onActivity, { passive: true }));
+    return () => {
+      clearTimeout(timer);
+      document.removeEventListener("visibilitychange", onVisibility);
+      ACTIVITY_EVENTS.forEach((type) => window.removeEventListener(type, onActivity));
+    };
+  }, []);
+
+  return hidden || idle ? "away" : "online";
+}
@@ -0,0 +1,141 @@
+// src/roomCrypto.js
+// end-to-end encryption for rooms with a shared passphrase. the passphrase and the
+// derived key never leave the browser; the room only stores
+//   rooms/{id}/meta/encryption = { v, salt, iterations, check }
+// where `check` is a known string encrypted with the key, so a wrong passphrase
+// can be told apart from a damaged message. message text (and quoted text, and
+// edit history) is stored as enc = { iv, ct } instead of text.
+//
+// key: PBKDF2-SHA256(passphrase, salt) -> HKDF-SHA256 -> AES-GCM 256, with the
+// room id as additional data so ciphertext can't be replayed into another room.
+import { useEffect, useRef, useState } from "react";
+
+const PBKDF2_ITERATIONS = 310000;
+const HKDF_INFO = "goatsloth room message key v1";
+const CHECK_TEXT = "goatsloth:e2e-check";
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+function toBase64(bytes) {
+  let binary = "";
+  new Uint8Array(bytes).forEach((b) => {
+    binary += String.fromCharCode(b);
+  });
+  return btoa(binary);
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), (c) => c.charCodeAt(0));
+}
+
+export async function deriveRoomKey(passphrase, { salt, iterations = PBKDF2_ITERATIONS }) {
+  const saltBytes = fromBase64(salt);
+  const material = await crypto.subtle.importKey("raw", encoder.encode(passphrase), "PBKDF2", false, [
+    "deriveBits",
+  ]);
+  const bits = await crypto.subtle.deriveBits(
+    { name: "PBKDF2", hash: "SHA-256", salt: saltBytes, iterations },
+    material,
+    256
+  );
+  const hkdf = await crypto.subtle.importKey("raw", bits, "HKDF", false, ["deriveKey"]);
+  return crypto.subtle.deriveKey(
+    { name: "HKDF", hash: "SHA-256", salt: saltBytes, info: encoder.encode(HKDF_INFO) },
+    hkdf,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  );
+}
+
+export async function encryptText(key, roomId, text) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const ct = await crypto.subtle.encrypt(
+    { name: "AES-GCM", iv, additionalData: encoder.encode(roomId) },
+    key,
+    encoder.encode(text)
+  );
+  return { iv: toBase64(iv), ct: toBase64(ct) };
+}
+
+// throws on a wrong key or tampered payload
+export async function decryptText(key, roomId, payload) {
+  const plain = await crypto.subtle.decrypt(
+    { name: "AES-GCM", iv: fromBase64(payload.iv), additionalData: encoder.encode(roomId) },
+    key,
+    fromBase64(payload.ct)
+  );
+  return decoder.decode(plain);
+}
+
+// new room: fresh salt + check value -> { meta, key }
+export async function createEncryption(roomId, passphrase) {
+  const salt = toBase64(crypto.getRandomValues(new Uint8Array(16)));
+  const key = await deriveRoomKey(passphrase, { salt });
+  const check = await encryptText(key, roomId, CHECK_TEXT);
+  return { meta: { v: 1, salt, iterations: PBKDF2_ITERATIONS, check }, key };
+}
+
+// existing room: the key, or null when the passphrase doesn't match
+export async function unlockRoom(roomId, passphrase, meta) {
+  const key = await deriveRoomKey(passphrase, meta);
+  try {
+    return (await decryptText(key, roomId, meta.check)) === CHECK_TEXT ? key : null;
+  } catch {
+    return null;
+  }
+}
+
+// keys for this tab only (lost on reload), so a room created here opens unlocked
+const roomKeys = new Map();
+
+export function rememberRoomKey(roomId, key) {
+  roomKeys.set(roomId, key);
+}
+
+export function roomKeyFor(roomId) {
+  return roomKeys.get(roomId) || null;
+}
+
+// decrypts payloads as they show up. textFor(payload) is the text, undefined
+// while it is being decrypted, or null if it can't be (no key, wrong key).
+// each ciphertext is decrypted once per key, so passing the same payloads again
+// (memoize them) costs nothing.
+export function useDecryptedTexts(key, roomId, payloads) {
+  const [texts, setTexts] = useState({}); // ct -> text | null
+  // ciphertexts handed to decrypt (or remembered) under the current key
+  const requestedRef = useRef(null);
+
+  useEffect(() => {
+    if (!key) return;
+    if (!requestedRef.current || requestedRef.current.key !== key) requestedRef.current = { key, cts: new Set() };
+    const { cts } = requestedRef.current;
+    const todo = payloads.filter((p) => {
+      if (!p || !p.ct || cts.has(p.ct)) return false;
+      cts.add(p.ct);
+      return true;
+    });
+    if (!todo.length) return;
+    Promise.all(
+      todo.map(async (p) => [p.ct, await decryptText(key, roomId, p).catch(() => null)])
+    ).then((entries) => {
+      // dropped if another key has taken over since
+      if (requestedRef.current.cts === cts) setTexts((prev) => ({ ...prev, ...Object.fromEntries(entries) }));
+    });
+  }, [key, roomId, payloads]);
+
+  function textFor(payload) {
+    if (!payload || !payload.ct) return null;
+    if (payload.ct in texts) return texts[payload.ct];
+    return key ? undefined : null;
+  }
+
+  // our own ciphertexts don't need a round trip through decrypt
+  function remember(payload, text) {
+    if (requestedRef.current && requestedRef.current.key === key) requestedRef.current.cts.add(payload.ct);
+    setTexts((prev) => ({ ...prev, [payload.ct]: text }));
+  }
+
+  return { textFor, remember };
+}
@@ -0,0 +1,33 @@
+// src/roomPassword.js
+// join passwords for rooms. only a salted hash is stored:
+//   rooms/{id}/password = { salt, iterations, hash }
+// salt and iterations are readable by anyone signed in, the hash only by members.
+// joining writes the hash we computed to rooms/{id}/members/{uid}, and the
+// database rules accept it only when it matches, so the check happens server-side.
+const PBKDF2_ITERATIONS = 100000;
+
+const encoder = new TextEncoder();
+
+function toHex(bytes) {
+  return [...new Uint8Array(bytes)].map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+// PBKDF2-SHA256(password, salt) as hex
+export async function hashPassword(password, { salt, iterations = PBKDF2_ITERATIONS }) {
+  const material = await crypto.subtle.importKey("raw", encoder.encode(password), "PBKDF2", false, [
+    "deriveBits",
+  ]);
+  const bits = await crypto.subtle.deriveBits(
+    { name: "PBKDF2", hash: "SHA-256", salt: encoder.encode(salt), iterations },
+    material,
+    256
+  );
+  return toHex(bits);
+}
+
+// new password: fresh salt -> { salt, iterations, hash }
+export async function createPassword(password) {
+  const salt = toHex(crypto.getRandomValues(new Uint8Array(16)));
+  const hash = await hashPassword(password, { salt });
+  return { salt, iterations: PBKDF2_ITERATIONS, hash };
+}
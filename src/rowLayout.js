@@ -0,0 +1,169 @@
+// src/rowLayout.js
+// where each row of the message list starts, kept up to date as the store
+// changes instead of being rebuilt from the whole history.
+//
+// message heights live in a Fenwick tree in store order, so a live arrival is
+// one O(log n) push, a measured height is one O(log n) update, and any offset or
+// "which row is at y" is O(log n). the few rows that aren't stored messages
+// (queued sends, local notices) are merged in by id on the fly rather than
+// copied into the list.
+
+// first index in `items` whose id sorts at or after `id`
+function lowerBound(items, id) {
+  let lo = 0;
+  let hi = items.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (items[mid].id < id) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+// estimate: height for rows not measured yet
+export function createRowLayout(estimate) {
+  const heights = new Map(); // id -> measured height
+  const dirty = new Set(); // ids measured since the last sync
+  // tree[i] sums values[i - lowbit(i) .. i - 1]; values are message heights in store order
+  const tree = [0];
+  const values = [];
+  let snapshot = null;
+  let messages = [];
+  // [{ item, at, row, height }]: extra rows in id order, each just before messages[at]
+  let extraRows = [];
+  let extras = null;
+  let extraHeight = 0;
+
+  const heightOf = (id) => heights.get(id) ?? estimate;
+
+  // sum of the first n message heights
+  function prefix(n) {
+    let sum = 0;
+    for (let i = n; i > 0; i -= i & -i) sum += tree[i];
+    return sum;
+  }
+
+  function push(h) {
+    values.push(h);
+    const i = values.length;
+    tree[i] = h + prefix(i - 1) - prefix(i - (i & -i));
+  }
+
+  function truncate(n) {
+    values.length = n;
+    tree.length = n + 1;
+  }
+
+  function set(index, h) {
+    const delta = h - values[index];
+    if (!delta) return;
+    values[index] = h;
+    for (let i = index + 1; i <= values.length; i += i & -i) tree[i] += delta;
+  }
+
+  // how many messages end at or above y
+  function search(y) {
+    let pos = 0;
+    let step = 1;
+    while (step * 2 <= values.length) step *= 2;
+    for (; step; step >>= 1) {
+      if (pos + step <= values.length && tree[pos + step] <= y) {
+        pos += step;
+        y -= tree[pos];
+      }
+    }
+    return pos;
+  }
+
+  // number of extra rows before row r
+  function extrasBefore(r) {
+    let c = 0;
+    while (c < extraRows.length && extraRows[c].row < r) c++;
+    return c;
+  }
+
+  return {
+    // catch up with the store and the extra rows. cheap when called again with
+    // what it already has, so it can run on every render.
+    // extraItems: rows with an id and no place in the store, a new array when they change
+    sync(next, extraItems) {
+      if (next !== snapshot) {
+        const from = snapshot ? Math.min(next.changedFrom(snapshot.version), values.length) : 0;
+        messages = next.messages;
+        truncate(Math.min(from, messages.length));
+        for (let i = values.length; i < messages.length; i++) push(heightOf(messages[i].id));
+      }
+      dirty.forEach((id) => {
+        const i = next.indexOf(id);
+        if (i >= 0) set(i, heights.get(id));
+      });
+      if (next !== snapshot || extraItems !== extras || dirty.size) {
+        extraHeight = 0;
+        extraRows = extraItems.map((item, j) => {
+          const at = lowerBound(messages, item.id);
+          const height = heightOf(item.id);
+          extraHeight += height;
+          return { item, at, row: at + j, height };
+        });
+      }
+      dirty.clear();
+      snapshot = next;
+      extras = extraItems;
+    },
+
+    // a row's rendered height; true if it changed (the next sync applies it)
+    measure(id, h) {
+      if (heights.get(id) === h) return false;
+      heights.set(id, h);
+      dirty.add(id);
+      return true;
+    },
+
+    get length() {
+      return messages.length + extraRows.length;
+    },
+
+    at(r) {
+      const c = extrasBefore(r);
+      if (c < extraRows.length && extraRows[c].row === r) return extraRows[c].item;
+      return messages[r - c];
+    },
+
+    // row index of an id, -1 if there is no such row
+    indexOf(id) {
+      const m = snapshot ? snapshot.indexOf(id) : -1;
+      if (m >= 0) {
+        let c = 0;
+        while (c < extraRows.length && extraRows[c].row <= m + c) c++;
+        return m + c;
+      }
+      const extra = extraRows.find((e) => e.item.id === id);
+      return extra ? extra.row : -1;
+    },
+
+    // top of row r; offset(length) is the height of the whole list
+    offset(r) {
+      const c = extrasBefore(r);
+      let sum = prefix(r - c);
+      for (let j = 0; j < c; j++) sum += extraRows[j].height;
+      return sum;
+    },
+
+    total() {
+      return prefix(values.length) + extraHeight;
+    },
+
+    // the row covering y (clamped to the list)
+    indexAt(y) {
+      let above = 0; // height of the extra rows passed so far
+      for (let j = 0; j < extraRows.length; j++) {
+        const { at, row, height } = extraRows[j];
+        const top = prefix(at) + above;
+        if (y < top) return Math.max(0, search(y - above) + j);
+        if (y < top + height) return row;
+        above += height;
+      }
+      return Math.max(0, Math.min(search(y - above) + extraRows.length, this.length - 1));
+    },
+  };
+}
@@ -0,0 +1,64 @@
+// src/rowLayout.test.js
+import { describe, expect, it } from "vitest";
+import { createMessageStore } from "./messageStore";
+import { createRowLayout } from "./rowLayout";
+
+const msg = (id) => ({ id });
+
+function setup(ids) {
+  const store = createMessageStore();
+  store.add(ids.map(msg));
+  const layout = createRowLayout(10);
+  layout.sync(store.snapshot(), []);
+  return { store, layout };
+}
+
+const rowIds = (layout) => Array.from({ length: layout.length }, (_, r) => layout.at(r).id);
+
+describe("createRowLayout", () => {
+  it("lays messages out from estimates and measured heights", () => {
+    const { store, layout } = setup(["a", "b", "c"]);
+    expect(layout.total()).toBe(30);
+    expect(layout.measure("b", 25)).toBe(true);
+    expect(layout.measure("b", 25)).toBe(false);
+    layout.sync(store.snapshot(), []);
+    expect([0, 1, 2, 3].map((r) => layout.offset(r))).toEqual([0, 10, 35, 45]);
+    expect([0, 9, 10, 34, 35, 99].map((y) => layout.indexAt(y))).toEqual([0, 0, 1, 1, 2, 2]);
+  });
+
+  it("follows appends, older pages and removals", () => {
+    const { store, layout } = setup(["c", "d"]);
+    layout.measure("c", 20);
+    store.add([msg("e")]);
+    layout.sync(store.snapshot(), []);
+    store.add([msg("a"), msg("b")]);
+    layout.sync(store.snapshot(), []);
+    expect(rowIds(layout)).toEqual(["a", "b", "c", "d", "e"]);
+    expect(layout.offset(3)).toBe(40);
+
+    store.remove("b");
+    layout.sync(store.snapshot(), []);
+    expect(layout.indexOf("d")).toBe(2);
+    expect(layout.total()).toBe(50);
+  });
+
+  it("merges extra rows in by id", () => {
+    const { store, layout } = setup(["b", "d"]);
+    const extras = [msg("a"), msg("c"), msg("e")];
+    layout.measure("c", 30);
+    layout.sync(store.snapshot(), extras);
+    expect(rowIds(layout)).toEqual(["a", "b", "c", "d", "e"]);
+    expect(["a", "b", "c", "d", "e", "x"].map((id) => layout.indexOf(id))).toEqual([0, 1, 2, 3, 4, -1]);
+    expect([0, 1, 2, 3, 4, 5].map((r) => layout.offset(r))).toEqual([0, 10, 20, 50, 60, 70]);
+    expect([5, 15, 49, 55, 65, 500].map((y) => layout.indexAt(y))).toEqual([0, 1, 2, 3, 4, 4]);
+  });
+
+  it("starts over after the store is cleared", () => {
+    const { store, layout } = setup(["a", "b"]);
+    store.clear();
+    store.add([msg("c")]);
+    layout.sync(store.snapshot(), []);
+    expect(rowIds(layout)).toEqual(["c"]);
+    expect(layout.total()).toBe(10);
+  });
+});
@@ -0,0 +1,199 @@
+// src/searchIndex.js
+// client-side message search. every message a room receives is added to an
+// IndexedDB index, so search covers what this browser has seen, across
+// reloads, without asking the server. each account has its own database
+// ("goatsloth-search-{uid}"); leaving a room clears its records and signing
+// out drops the account's database.
+//
+// store "messages", key `${roomId}/${id}`:
+//   { key, roomId, id, fromName, at, text, terms: [`${roomId}\u0000${token}`] }
+// `terms` is a multi-entry index; a query token matches every stored token it
+// is a prefix of. encrypted messages are never indexed, so no plaintext from
+// an end-to-end room is written to disk.
+
+const DB_NAME = "goatsloth-search";
+const DB_VERSION = 1;
+const STORE = "messages";
+const SEP = "\u0000";
+const MAX_RESULTS = 50;
+const SNIPPET_RADIUS = 60;
+
+// uid -> Promise<IDBDatabase>
+const databases = new Map();
+
+function dbName(uid) {
+  return `${DB_NAME}-${uid}`;
+}
+
+function openIndex(uid) {
+  let dbPromise = databases.get(uid);
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === "undefined") {
+        reject(new Error("IndexedDB is not available"));
+        return;
+      }
+      const req = indexedDB.open(dbName(uid), DB_VERSION);
+      req.onupgradeneeded = () => {
+        const store = req.result.createObjectStore(STORE, { keyPath: "key" });
+        store.createIndex("room", "roomId");
+        store.createIndex("terms", "terms", { multiEntry: true });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    // let a later call try again (e.g. after the user allows storage)
+    dbPromise.catch(() => {
+      if (databases.get(uid) === dbPromise) databases.delete(uid);
+    });
+    databases.set(uid, dbPromise);
+  }
+  return dbPromise;
+}
+
+function done(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+function result(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+// lowercase words, letters and digits in any script
+export function tokenize(text) {
+  return String(text || "")
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+function recordFor(roomId, msg) {
+  const tokens = new Set([...tokenize(msg.text), ...tokenize(msg.fromName)]);
+  return {
+    key: `${roomId}/${msg.id}`,
+    roomId,
+    id: msg.id,
+    fromName: msg.fromName || "",
+    at: msg.at || 0,
+    text: msg.text,
+    terms: [...tokens].map((t) => roomId + SEP + t),
+  };
+}
+
+// add or refresh messages (toMessage shape); deleted and encrypted ones are dropped
+export async function indexMessages(uid, roomId, msgs) {
+  if (!msgs.length) return;
+  const db = await openIndex(uid);
+  const tx = db.transaction(STORE, "readwrite");
+  const store = tx.objectStore(STORE);
+  msgs.forEach((m) => {
+    if (m.deleted || m.enc || !m.text) store.delete(`${roomId}/${m.id}`);
+    else store.put(recordFor(roomId, m));
+  });
+  await done(tx);
+}
+
+export async function unindexMessage(uid, roomId, id) {
+  const db = await openIndex(uid);
+  const tx = db.transaction(STORE, "readwrite");
+  tx.objectStore(STORE).delete(`${roomId}/${id}`);
+  await done(tx);
+}
+
+// every record of one room, e.g. when leaving it
+export async function clearRoomIndex(uid, roomId) {
+  const db = await openIndex(uid);
+  const tx = db.transaction(STORE, "readwrite");
+  const store = tx.objectStore(STORE);
+  const req = store.index("room").getAllKeys(roomId);
+  req.onsuccess = () => req.result.forEach((key) => store.delete(key));
+  await done(tx);
+}
+
+// the account's whole database, e.g. on sign-out
+export async function dropSearchIndex(uid) {
+  const opening = databases.get(uid);
+  databases.delete(uid);
+  // an open connection would block the delete
+  if (opening) await opening.then((db) => db.close(), () => {});
+  if (typeof indexedDB === "undefined") return;
+  await result(indexedDB.deleteDatabase(dbName(uid)));
+}
+
+// primary keys of the room's records with a token starting with `token`
+async function keysForToken(store, roomId, token) {
+  const prefix = roomId + SEP + token;
+  const range = IDBKeyRange.bound(prefix, prefix + "\uffff");
+  return new Set(await result(store.index("terms").getAllKeys(range)));
+}
+
+// { text, sender, from, to } -> newest first, at most MAX_RESULTS records.
+// from/to are timestamps (inclusive); sender matches part of the display name.
+export async function searchMessages(uid, roomId, { text, sender, from, to } = {}) {
+  const tokens = tokenize(text);
+  const senderLower = (sender || "").trim().toLowerCase();
+  if (!tokens.length && !senderLower && !from && !to) return [];
+
+  const db = await openIndex(uid);
+  const read = () => db.transaction(STORE, "readonly").objectStore(STORE);
+
+  let records;
+  if (tokens.length) {
+    const store = read();
+    const sets = await Promise.all(tokens.map((t) => keysForToken(store, roomId, t)));
+    const keys = [...sets[0]].filter((k) => sets.every((s) => s.has(k)));
+    // a fresh transaction: the first one may have finished while we awaited
+    const byKey = read();
+    records = await Promise.all(keys.map((k) => result(byKey.get(k))));
+  } else {
+    records = await result(read().index("room").getAll(roomId));
+  }
+
+  return records
+    .filter(Boolean)
+    .filter((r) => !senderLower || r.fromName.toLowerCase().includes(senderLower))
+    .filter((r) => (!from || r.at >= from) && (!to || r.at <= to))
+    .sort((a, b) => b.at - a.at)
+    .slice(0, MAX_RESULTS);
+}
+
+// text around the first match, split into [{ text, match }] parts for highlighting
+export function highlightSnippet(text, query) {
+  const tokens = tokenize(query);
+  const source = String(text || "");
+  const lower = source.toLowerCase();
+  const ranges = [];
+  tokens.forEach((t) => {
+    let i = lower.indexOf(t);
+    while (i !== -1) {
+      ranges.push([i, i + t.length]);
+      i = lower.indexOf(t, i + t.length);
+    }
+  });
+  ranges.sort((a, b) => a[0] - b[0]);
+
+  const first = ranges.length ? ranges[0][0] : 0;
+  const start = Math.max(0, first - SNIPPET_RADIUS);
+  const end = Math.min(source.length, first + SNIPPET_RADIUS * 2);
+  const parts = [];
+  let pos = start;
+  ranges
+    .filter(([a, b]) => a >= start && b <= end)
+    .forEach(([a, b]) => {
+      if (a < pos) return;
+      if (a > pos) parts.push({ text: source.slice(pos, a), match: false });
+      parts.push({ text: source.slice(a, b), match: true });
+      pos = b;
+    });
+  if (pos < end) parts.push({ text: source.slice(pos, end), match: false });
+  if (start > 0) parts.unshift({ text: "…", match: false });
+  if (end < source.length) parts.push({ text: "…", match: false });
+  return parts;
+}
@@ -0,0 +1,42 @@
+// src/signaling.js
+// signaling transports for P2P rooms. every transport exposes the same shape for
+// one room, modelled on the rooms/{roomId} layout Room.jsx used with Firebase:
+//
+//   listPeers() -> Promise<{ [peerId]: { joinedAt } }>
+//   announce(peerId) -> Promise        add us to peers; dropped again if we vanish
+//   withdraw(peerId) -> Promise
+//   watchPeers(cb) -> unsubscribe      cb(allPeers) now and on every change
+//   push(pair, list, value) -> Promise append to pairs/{pair}/{list}
+//   watch(pair, list, cb) -> unsubscribe
+//                                      cb(value) for every item, old and new, in order
+//   removePair(pair) -> Promise        drop a pair's signaling (also done on disconnect)
+//   close()
+//
+// pick one with VITE_SIGNALING (firebase | ws | broadcast) or ?signaling= in the url;
+// without a Firebase project (see firebase.js) the default is broadcast.
+// ws talks to the bundled server (npm run signal) at VITE_SIGNALING_URL.
+import { db } from "./firebase";
+import { createFirebaseSignaling } from "./signalingFirebase";
+import { createWsSignaling } from "./signalingWs";
+import { createBroadcastSignaling } from "./signalingBroadcast";
+
+export const SIGNALING_KINDS = ["firebase", "ws", "broadcast"];
+
+export function signalingKind() {
+  const fromUrl = new URLSearchParams(window.location.search).get("signaling");
+  const fallback = db ? "firebase" : "broadcast";
+  const kind = fromUrl || import.meta.env.VITE_SIGNALING || fallback;
+  if (kind === "firebase" && !db) return fallback;
+  return SIGNALING_KINDS.includes(kind) ? kind : fallback;
+}
+
+export function createSignaling(roomId, kind = signalingKind()) {
+  switch (kind) {
+    case "ws":
+      return createWsSignaling(roomId, import.meta.env.VITE_SIGNALING_URL || `ws://${window.location.hostname}:8787`);
+    case "broadcast":
+      return createBroadcastSignaling(roomId);
+    default:
+      return createFirebaseSignaling(roomId);
+  }
+}
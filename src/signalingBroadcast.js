@@ -0,0 +1,170 @@
+// src/signalingBroadcast.js
+// signaling between tabs of the same browser over BroadcastChannel; no server at all.
+// nothing is shared, so every tab keeps what it wrote itself and re-sends it:
+// peers heartbeat their entry, and a new watcher asks for a pair's items again.
+// tabs that stop heartbeating (closed, crashed) expire like a dropped connection.
+
+const HEARTBEAT_MS = 2000;
+const PEER_TTL_MS = HEARTBEAT_MS * 3;
+
+export function createBroadcastSignaling(roomId) {
+  const channel = new BroadcastChannel(`p2p-signaling:${roomId}`);
+  const source = Math.random().toString(36).slice(2); // this tab's instance
+  const ownPeers = {}; // peerId -> { joinedAt }
+  const ownItems = new Map(); // `${pair}/${list}` -> [value]
+  const known = {}; // peerId -> { joinedAt, seenAt }
+  const peerWatchers = new Set();
+  const itemWatchers = new Map(); // `${pair}/${list}` -> Set(cb)
+  const items = new Map(); // `${pair}/${list}` -> [{ key, value }], own and received
+
+  function peersSnapshot() {
+    const all = {};
+    Object.entries(known).forEach(([id, p]) => {
+      all[id] = { joinedAt: p.joinedAt };
+    });
+    return all;
+  }
+
+  function notifyPeers() {
+    const all = peersSnapshot();
+    peerWatchers.forEach((cb) => cb(all));
+  }
+
+  function seePeer(peer, joinedAt) {
+    const isNew = !known[peer];
+    known[peer] = { joinedAt, seenAt: Date.now() };
+    if (isNew) notifyPeers();
+  }
+
+  function forgetPeer(peer) {
+    if (!known[peer]) return;
+    delete known[peer];
+    notifyPeers();
+  }
+
+  function deliver(from, path, index, value) {
+    const key = `${from}:${index}`;
+    if (!items.has(path)) items.set(path, []);
+    const list = items.get(path);
+    if (list.some((item) => item.key === key)) return;
+    list.push({ key, value });
+    (itemWatchers.get(path) || []).forEach((cb) => cb(value));
+  }
+
+  function resendPair(pair) {
+    ownItems.forEach((values, path) => {
+      if (!path.startsWith(`${pair}/`)) return;
+      values.forEach((value, index) => channel.postMessage({ op: "item", from: source, path, index, value }));
+    });
+  }
+
+  function dropPair(pair) {
+    [ownItems, items].forEach((map) => {
+      [...map.keys()].forEach((path) => {
+        if (path.startsWith(`${pair}/`)) map.delete(path);
+      });
+    });
+  }
+
+  function heartbeat() {
+    Object.entries(ownPeers).forEach(([peer, p]) => {
+      channel.postMessage({ op: "peer", peer, joinedAt: p.joinedAt });
+      known[peer].seenAt = Date.now();
+    });
+    const now = Date.now();
+    Object.keys(known).forEach((peer) => {
+      if (!ownPeers[peer] && now - known[peer].seenAt > PEER_TTL_MS) forgetPeer(peer);
+    });
+  }
+
+  channel.onmessage = ({ data: msg }) => {
+    switch (msg.op) {
+      case "peer":
+        seePeer(msg.peer, msg.joinedAt);
+        break;
+      case "bye":
+        forgetPeer(msg.peer);
+        break;
+      case "sync-peers":
+        heartbeat();
+        break;
+      case "item":
+        deliver(msg.from, msg.path, msg.index, msg.value);
+        break;
+      case "sync-pair":
+        resendPair(msg.pair);
+        break;
+      case "remove-pair":
+        dropPair(msg.pair);
+        break;
+      default:
+        break;
+    }
+  };
+
+  const timer = setInterval(heartbeat, HEARTBEAT_MS);
+
+  function leaveAll() {
+    Object.keys(ownPeers).forEach((peer) => channel.postMessage({ op: "bye", peer }));
+  }
+  window.addEventListener("pagehide", leaveAll);
+
+  return {
+    // other tabs answer the sync right away; give them a moment
+    listPeers() {
+      channel.postMessage({ op: "sync-peers" });
+      return new Promise((resolve) => setTimeout(() => resolve(peersSnapshot()), 300));
+    },
+
+    async announce(peerId) {
+      const joinedAt = Date.now();
+      ownPeers[peerId] = { joinedAt };
+      seePeer(peerId, joinedAt);
+      channel.postMessage({ op: "peer", peer: peerId, joinedAt });
+    },
+
+    async withdraw(peerId) {
+      delete ownPeers[peerId];
+      forgetPeer(peerId);
+      channel.postMessage({ op: "bye", peer: peerId });
+    },
+
+    watchPeers(cb) {
+      peerWatchers.add(cb);
+      cb(peersSnapshot());
+      channel.postMessage({ op: "sync-peers" });
+      return () => peerWatchers.delete(cb);
+    },
+
+    async push(pair, list, value) {
+      const path = `${pair}/${list}`;
+      if (!ownItems.has(path)) ownItems.set(path, []);
+      const values = ownItems.get(path);
+      values.push(value);
+      const index = values.length - 1;
+      deliver(source, path, index, value);
+      channel.postMessage({ op: "item", from: source, path, index, value });
+    },
+
+    watch(pair, list, cb) {
+      const path = `${pair}/${list}`;
+      if (!itemWatchers.has(path)) itemWatchers.set(path, new Set());
+      itemWatchers.get(path).add(cb);
+      (items.get(path) || []).forEach((item) => cb(item.value));
+      channel.postMessage({ op: "sync-pair", pair });
+      return () => itemWatchers.get(path).delete(cb);
+    },
+
+    async removePair(pair) {
+      dropPair(pair);
+      channel.postMessage({ op: "remove-pair", pair });
+    },
+
+    close() {
+      leaveAll();
+      clearInterval(timer);
+      window.removeEventListener("pagehide", leaveAll);
+      channel.close();
+    },
+  };
+}
@@ -0,0 +1,66 @@
+// src/signalingFirebase.js
+// signaling over the realtime database: rooms/{roomId}/peers and rooms/{roomId}/pairs.
+// the database rules only let signed-in users in, so joining waits for auth.
+import { db } from "./firebase";
+import { identity } from "./identity";
+import { ref, set, get, push, remove, onValue, onChildAdded, onDisconnect, serverTimestamp } from "firebase/database";
+
+export function createFirebaseSignaling(roomId) {
+  const base = `rooms/${roomId}`;
+  const heldPairs = new Set(); // pairs with an onDisconnect cleanup registered
+
+  function holdPair(pair) {
+    if (heldPairs.has(pair)) return;
+    heldPairs.add(pair);
+    onDisconnect(ref(db, `${base}/pairs/${pair}`))
+      .remove()
+      .catch((err) => console.error("signaling onDisconnect error:", err));
+  }
+
+  return {
+    async listPeers() {
+      await identity.ready();
+      return (await get(ref(db, `${base}/peers`))).val() || {};
+    },
+
+    async announce(peerId) {
+      const meRef = ref(db, `${base}/peers/${peerId}`);
+      await set(meRef, { joinedAt: serverTimestamp() });
+      await onDisconnect(meRef).remove();
+    },
+
+    async withdraw(peerId) {
+      const meRef = ref(db, `${base}/peers/${peerId}`);
+      await onDisconnect(meRef).cancel();
+      await remove(meRef);
+    },
+
+    watchPeers(cb) {
+      return onValue(ref(db, `${base}/peers`), (snap) => cb(snap.val() || {}));
+    },
+
+    async push(pair, list, value) {
+      holdPair(pair);
+      await push(ref(db, `${base}/pairs/${pair}/${list}`), value);
+    },
+
+    watch(pair, list, cb) {
+      holdPair(pair);
+      return onChildAdded(ref(db, `${base}/pairs/${pair}/${list}`), (snap) => {
+        const value = snap.val();
+        if (value) cb(value);
+      });
+    },
+
+    async removePair(pair) {
+      const pairRef = ref(db, `${base}/pairs/${pair}`);
+      heldPairs.delete(pair);
+      onDisconnect(pairRef)
+        .cancel()
+        .catch((err) => console.error("signaling onDisconnect error:", err));
+      await remove(pairRef);
+    },
+
+    close() {},
+  };
+}
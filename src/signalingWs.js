@@ -0,0 +1,125 @@
+// src/signalingWs.js
+// signaling over a WebSocket to the bundled server (server/signaling.js), so P2P
+// rooms work on a LAN without a Firebase project. the server keeps the same
+// peers/pairs data in memory and drops a socket's entries when it disconnects.
+//
+// client -> server: { op, wid?, room, ... }
+//   announce { peer } | withdraw { peer } | watch-peers { wid }
+//   push { pair, list, value } | watch { wid, pair, list } | unwatch { wid } | remove-pair { pair }
+// server -> client: { op: "peers", wid, peers } | { op: "item", wid, value }
+//
+// if the socket can't connect or drops, every pending request (queued sends,
+// listPeers) rejects and later ones fail right away.
+
+export function createWsSignaling(roomId, url) {
+  const socket = new WebSocket(url);
+  const queue = []; // { data, resolve, reject } waiting for the socket to open
+  const pending = new Set(); // reject() of requests waiting for a reply
+  const watchers = new Map(); // wid -> callback
+  let nextWid = 1;
+  let failure = null;
+
+  socket.addEventListener("open", () => {
+    queue.splice(0).forEach(({ data, resolve }) => {
+      socket.send(data);
+      resolve();
+    });
+  });
+
+  function fail(message) {
+    if (failure) return;
+    failure = new Error(message);
+    queue.splice(0).forEach(({ reject }) => reject(failure));
+    pending.forEach((reject) => reject(failure));
+    pending.clear();
+  }
+
+  socket.addEventListener("error", () => {
+    console.error(`signaling socket error (${url})`);
+    fail(`can't reach the signaling server at ${url}`);
+  });
+  socket.addEventListener("close", () => fail(`signaling server at ${url} closed the connection`));
+  socket.addEventListener("message", (evt) => {
+    let msg;
+    try {
+      msg = JSON.parse(evt.data);
+    } catch {
+      return;
+    }
+    const cb = watchers.get(msg.wid);
+    if (!cb) return;
+    if (msg.op === "peers") cb(msg.peers || {});
+    else if (msg.op === "item") cb(msg.value);
+  });
+
+  // resolves once the message is on the wire
+  function send(msg) {
+    const data = JSON.stringify({ room: roomId, ...msg });
+    if (socket.readyState === WebSocket.OPEN) {
+      socket.send(data);
+      return Promise.resolve();
+    }
+    if (socket.readyState === WebSocket.CONNECTING && !failure) {
+      return new Promise((resolve, reject) => queue.push({ data, resolve, reject }));
+    }
+    return Promise.reject(failure || new Error("signaling socket is closed"));
+  }
+
+  // watchers have no way to report errors; a dead socket just stops calling them
+  function subscribe(msg, cb) {
+    const wid = nextWid++;
+    watchers.set(wid, cb);
+    send({ ...msg, wid }).catch(() => {});
+    return () => {
+      watchers.delete(wid);
+      if (socket.readyState === WebSocket.OPEN) send({ op: "unwatch", wid });
+    };
+  }
+
+  return {
+    listPeers() {
+      return new Promise((resolve, reject) => {
+        pending.add(reject);
+        const unsub = subscribe({ op: "watch-peers" }, (peers) => {
+          pending.delete(reject);
+          unsub();
+          resolve(peers);
+        });
+        if (failure) reject(failure);
+      });
+    },
+
+    announce(peerId) {
+      return send({ op: "announce", peer: peerId });
+    },
+
+    withdraw(peerId) {
+      return send({ op: "withdraw", peer: peerId });
+    },
+
+    watchPeers(cb) {
+      return subscribe({ op: "watch-peers" }, cb);
+    },
+
+    push(pair, list, value) {
+      return send({ op: "push", pair, list, value });
+    },
+
+    watch(pair, list, cb) {
+      return subscribe({ op: "watch", pair, list }, cb);
+    },
+
+    removePair(pair) {
+      return send({ op: "remove-pair", pair });
+    },
+
+    close() {
+      watchers.clear();
+      if (socket.readyState === WebSocket.CONNECTING) {
+        socket.addEventListener("open", () => socket.close());
+      } else {
+        socket.close();
+      }
+    },
+  };
+}
@@ -0,0 +1,234 @@
+// src/transcript.js
+// room transcripts: the full history (not just the live window) as versioned
+// JSON, Markdown or a standalone HTML page, and JSON imports into a new room.
+//
+// JSON shape (version 1):
+//   { format: "goatsloth-transcript", version: 1, exportedAt,
+//     room: { id, title, topic },
+//     messages: [{ id, fromId, fromName, at, editedAt, text, kind, deleted,
+//                  replyTo: { id, fromName, text } | null, reactions: { emoji: [names] } }] }
+import { chat } from "./chatService";
+import { toMessage, snippet } from "./messages";
+import { MAX_NAME_LENGTH } from "./presence";
+
+export const TRANSCRIPT_FORMAT = "goatsloth-transcript";
+export const TRANSCRIPT_VERSION = 1;
+
+const HISTORY_PAGE_SIZE = 500;
+// messages per write when importing; each batch is one multi-path update
+const IMPORT_BATCH_SIZE = 200;
+// the database rules cap message text
+const MAX_TEXT_LENGTH = 4000;
+
+// every message in the room, oldest first, paging back from the newest
+export async function loadHistory(roomId, { onProgress } = {}) {
+  let all = [];
+  let before = null;
+  for (;;) {
+    const page = await chat.getMessages(roomId, { before, limit: HISTORY_PAGE_SIZE });
+    all = [...page, ...all];
+    if (onProgress) onProgress(all.length);
+    if (page.length < HISTORY_PAGE_SIZE) return all;
+    before = page[0].id;
+  }
+}
+
+// stored messages -> transcript object. textOf(msg) gives the readable text
+// (encrypted rooms decrypt it) or null when it can't be read.
+export async function buildTranscript({ roomId, meta, entries, textOf }) {
+  const messages = [];
+  for (const { id, value } of entries) {
+    const m = toMessage(id, value);
+    if (!m) continue;
+    const text = m.deleted ? "" : await textOf(m);
+    const quote = m.replyTo ? (m.replyTo.enc ? await textOf({ enc: m.replyTo.enc }) : m.replyTo.text) : null;
+    messages.push({
+      id: m.id,
+      fromId: m.fromId,
+      fromName: m.fromName || "",
+      at: m.at,
+      editedAt: m.editedAt,
+      text: text == null ? "[unable to decrypt]" : text,
+      kind: m.kind,
+      deleted: m.deleted,
+      replyTo: m.replyTo ? { id: m.replyTo.id, fromName: m.replyTo.fromName || "", text: quote || "" } : null,
+      reactions: Object.fromEntries(
+        Object.entries(m.reactions).map(([emoji, users]) => [emoji, Object.values(users || {})])
+      ),
+    });
+  }
+  return {
+    format: TRANSCRIPT_FORMAT,
+    version: TRANSCRIPT_VERSION,
+    exportedAt: new Date().toISOString(),
+    room: { id: roomId, title: (meta && meta.title) || "", topic: (meta && meta.topic) || "" },
+    messages,
+  };
+}
+
+function roomLabel(transcript) {
+  return transcript.room.title || `Room ${transcript.room.id}`;
+}
+
+function dateTime(ts) {
+  return ts ? new Date(ts).toLocaleString() : "";
+}
+
+function reactionsLine(reactions) {
+  return Object.entries(reactions || {})
+    .map(([emoji, names]) => `${emoji} ${names.length}`)
+    .join("  ");
+}
+
+export function toJson(transcript) {
+  return JSON.stringify(transcript, null, 2);
+}
+
+export function toMarkdown(transcript) {
+  const lines = [`# ${roomLabel(transcript)}`, ""];
+  if (transcript.room.topic) lines.push(`_${transcript.room.topic}_`, "");
+  lines.push(`Exported ${dateTime(Date.parse(transcript.exportedAt))} — ${transcript.messages.length} messages`, "");
+  transcript.messages.forEach((m) => {
+    lines.push(`**${m.fromName || "Someone"}** · ${dateTime(m.at)}${m.editedAt ? " (edited)" : ""}`);
+    if (m.replyTo) lines.push(`> ${m.replyTo.fromName}: ${m.replyTo.text}`);
+    if (m.deleted) lines.push("_message deleted_");
+    else if (m.kind === "action") lines.push(`_* ${m.fromName} ${m.text}_`);
+    else lines.push(m.text);
+    const reactions = reactionsLine(m.reactions);
+    if (reactions) lines.push("", reactions);
+    lines.push("");
+  });
+  return lines.join("\n");
+}
+
+function escapeHtml(text) {
+  return String(text ?? "").replace(
+    /[&<>"']/g,
+    (ch) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[ch]
+  );
+}
+
+// one self-contained page: inline styles, no scripts, every value escaped
+export function toHtml(transcript) {
+  const title = escapeHtml(roomLabel(transcript));
+  const rows = transcript.messages
+    .map((m) => {
+      const body = m.deleted
+        ? `<p class="deleted">message deleted</p>`
+        : m.kind === "action"
+        ? `<p class="action">* ${escapeHtml(m.fromName)} ${escapeHtml(m.text)}</p>`
+        : `<p>${escapeHtml(m.text)}</p>`;
+      const quote = m.replyTo
+        ? `<blockquote><b>${escapeHtml(m.replyTo.fromName)}</b> ${escapeHtml(m.replyTo.text)}</blockquote>`
+        : "";
+      const reactions = reactionsLine(m.reactions);
+      return `<article>
+  <header><b>${escapeHtml(m.fromName || "Someone")}</b> <time>${escapeHtml(dateTime(m.at))}</time>${
+        m.editedAt ? " <i>(edited)</i>" : ""
+      }</header>
+  ${quote}${body}${reactions ? `\n  <footer>${escapeHtml(reactions)}</footer>` : ""}
+</article>`;
+    })
+    .join("\n");
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${title}</title>
+<style>
+  body { font: 14px/1.5 system-ui, sans-serif; max-width: 760px; margin: 24px auto; padding: 0 16px; color: #0F172A; }
+  article { padding: 8px 0; border-bottom: 1px solid #E2E6EA; }
+  header { color: #334155; } time { color: #94A3B8; font-size: 12px; margin-left: 6px; }
+  p { margin: 4px 0; white-space: pre-wrap; } .deleted, .action { font-style: italic; color: #6B7280; }
+  blockquote { margin: 4px 0; padding: 4px 10px; border-left: 3px solid #3A86FF; background: #F8FAFC; }
+  footer { font-size: 12px; color: #6B7280; }
+</style>
+</head>
+<body>
+<h1>${title}</h1>
+${transcript.room.topic ? `<p><i>${escapeHtml(transcript.room.topic)}</i></p>\n` : ""}<p>Exported ${escapeHtml(
+    dateTime(Date.parse(transcript.exportedAt))
+  )} — ${transcript.messages.length} messages</p>
+${rows}
+</body>
+</html>
+`;
+}
+
+// save a string as a file through a temporary link
+export function downloadFile(filename, type, content) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// JSON text -> transcript; throws with a readable message on anything else
+export function parseTranscript(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error("not a JSON file");
+  }
+  if (!data || data.format !== TRANSCRIPT_FORMAT) throw new Error("not a GoatSloth transcript");
+  if (data.version !== TRANSCRIPT_VERSION) throw new Error(`unsupported transcript version ${data.version}`);
+  if (!Array.isArray(data.messages)) throw new Error("transcript has no messages");
+  return data;
+}
+
+// write a transcript's messages into an (empty, new) room we own. the database
+// only lets us post as ourselves, so the original sender is kept as fromName
+// and the messages are flagged `imported`; reactions are not carried over.
+export async function importTranscript(roomId, transcript, userId, { onProgress } = {}) {
+  const room = transcript.room || {};
+  await chat.updateMeta(roomId, {
+    title: `${room.title || `Room ${room.id || "?"}`} (imported)`.slice(0, 80),
+    topic: room.topic ? String(room.topic).slice(0, 200) : null,
+  });
+
+  // fresh push ids in transcript order keep the original order; replies follow the mapping
+  const newIds = new Map();
+  const items = transcript.messages
+    .filter((m) => m && Number.isFinite(m.at))
+    .map((m) => {
+      const id = chat.newMessageId(roomId);
+      if (typeof m.id === "string") newIds.set(m.id, id);
+      return { m, id };
+    });
+
+  const prepared = items.map(({ m, id }) => {
+    // held to what a live send would store
+    const data = {
+      fromId: userId,
+      fromName: String(m.fromName || "Someone").slice(0, MAX_NAME_LENGTH),
+      at: m.at,
+      imported: true,
+    };
+    if (m.deleted) {
+      data.deleted = true;
+    } else {
+      data.text = String(m.text ?? "").slice(0, MAX_TEXT_LENGTH);
+    }
+    if (Number.isFinite(m.editedAt) && m.editedAt > 0) data.editedAt = m.editedAt;
+    if (m.kind === "action") data.kind = "action";
+    if (m.replyTo && typeof m.replyTo === "object" && newIds.has(m.replyTo.id)) {
+      data.replyTo = {
+        id: newIds.get(m.replyTo.id),
+        fromName: String(m.replyTo.fromName || "").slice(0, MAX_NAME_LENGTH),
+        text: snippet(String(m.replyTo.text || "")),
+      };
+    }
+    return { id, data };
+  });
+
+  for (let i = 0; i < prepared.length; i += IMPORT_BATCH_SIZE) {
+    await chat.sendMessages(roomId, prepared.slice(i, i + IMPORT_BATCH_SIZE));
+    if (onProgress) onProgress(Math.min(i + IMPORT_BATCH_SIZE, prepared.length));
+  }
+  return prepared.length;
+}
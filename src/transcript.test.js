@@ -0,0 +1,79 @@
+// src/transcript.test.js
+import { describe, expect, it, vi } from "vitest";
+import { chat } from "./chatService";
+import { parseTranscript, importTranscript, TRANSCRIPT_FORMAT, TRANSCRIPT_VERSION } from "./transcript";
+
+// imports go through the in-memory backend
+vi.mock("./chatService", async () => {
+  const { createMemoryChat } = await import("./chatMemory");
+  return { chat: createMemoryChat() };
+});
+
+function transcript(messages) {
+  return { format: TRANSCRIPT_FORMAT, version: TRANSCRIPT_VERSION, room: { id: "old", title: "Old" }, messages };
+}
+
+async function imported(roomId, messages) {
+  await importTranscript(roomId, transcript(messages), "me");
+  return (await chat.getMessages(roomId)).map((m) => m.value);
+}
+
+describe("parseTranscript", () => {
+  it("accepts a transcript", () => {
+    const data = transcript([]);
+    expect(parseTranscript(JSON.stringify(data))).toEqual(data);
+  });
+
+  it("rejects anything else with a readable message", () => {
+    expect(() => parseTranscript("{")).toThrow("not a JSON file");
+    expect(() => parseTranscript("null")).toThrow("not a GoatSloth transcript");
+    expect(() => parseTranscript(JSON.stringify({ ...transcript([]), version: 99 }))).toThrow("version 99");
+    expect(() => parseTranscript(JSON.stringify({ ...transcript([]), messages: {} }))).toThrow("no messages");
+  });
+});
+
+describe("importTranscript", () => {
+  it("posts as the importer and keeps the original sender and order", async () => {
+    const values = await imported("r1", [
+      { id: "a", fromName: "Ann", at: 1, text: "first" },
+      { id: "b", fromName: "Bob", at: 2, text: "second", kind: "action", editedAt: 3 },
+    ]);
+    expect(values).toEqual([
+      { fromId: "me", fromName: "Ann", at: 1, imported: true, text: "first" },
+      { fromId: "me", fromName: "Bob", at: 2, imported: true, text: "second", kind: "action", editedAt: 3 },
+    ]);
+  });
+
+  it("skips entries without a usable timestamp", async () => {
+    const values = await imported("r2", [
+      null,
+      "text",
+      { id: "a", at: "yesterday", text: "no" },
+      { id: "b", text: "no" },
+      { id: "c", at: 5, text: "yes" },
+    ]);
+    expect(values.map((v) => v.text)).toEqual(["yes"]);
+  });
+
+  it("drops a malformed editedAt", async () => {
+    const values = await imported("r3", [
+      { id: "a", at: 1, text: "x", editedAt: "later" },
+      { id: "b", at: 2, text: "y", editedAt: { t: 1 } },
+      { id: "c", at: 3, text: "z", editedAt: -4 },
+    ]);
+    values.forEach((v) => expect(v).not.toHaveProperty("editedAt"));
+  });
+
+  it("clamps names, text and quotes to the live send limits", async () => {
+    const values = await imported("r4", [
+      { id: "a", fromName: "n".repeat(100), at: 1, text: "t".repeat(5000) },
+      { id: "b", at: 2, text: "reply", replyTo: { id: "a", fromName: "n".repeat(100), text: "q".repeat(5000) } },
+      { id: "c", at: 3, text: "bad quote", replyTo: "a" },
+    ]);
+    expect(values[0].fromName).toHaveLength(40);
+    expect(values[0].text).toHaveLength(4000);
+    expect(values[1].replyTo.fromName).toHaveLength(40);
+    expect(values[1].replyTo.text).toHaveLength(120);
+    expect(values[2]).not.toHaveProperty("replyTo");
+  });
+});
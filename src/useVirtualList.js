@@ -0,0 +1,200 @@
+// src/useVirtualList.js
+// windowed rendering for a long list of variable-height rows in a scroll box.
+// only rows near the viewport are mounted; the rest are stood in for by two
+// spacers sized from measured heights (or an estimate for rows not seen yet).
+//
+// the row at the top of the viewport stays put when heights change above it or
+// rows are prepended, and the box sticks to the bottom only while the user is
+// already there.
+import { useCallback, useEffect, useLayoutEffect, useRef, useState } from "react";
+import { createRowLayout } from "./rowLayout";
+
+const ESTIMATED_ROW_HEIGHT = 72;
+// rendered beyond each edge of the viewport, and how far it can scroll before re-rendering
+const OVERSCAN_PX = 800;
+const RERENDER_PX = 200;
+// rows rendered before the box has been measured (e.g. while its room is hidden)
+const INITIAL_ROWS = 30;
+const BOTTOM_SLACK_PX = 40;
+
+// snapshot: the message store's snapshot(); extras: the other rows (queued
+// sends, notices), each with an id that places it among the messages, in id
+// order and a new array only when they change. boxRef: the scrolling element.
+// rows are marked with data-row-id and given `measure` as their ref.
+export function useVirtualList(boxRef, snapshot, extras) {
+  // offsets follow the store incrementally, so a new message costs a push, not a relayout
+  const [layout] = useState(() => createRowLayout(ESTIMATED_ROW_HEIGHT));
+  // bumped when a row's measured height changes
+  const [, setMeasured] = useState(0);
+  // viewport: its height, and its top both in list coordinates and as the first
+  // visible row, which survives rows being prepended above it
+  const [view, setView] = useState({ top: 0, height: 0, id: null, offset: 0 });
+  const [atBottom, setAtBottom] = useState(true);
+  const atBottomRef = useRef(true);
+  const anchorRef = useRef(null); // { id, offset } of the first visible row
+  const observerRef = useRef(null);
+  const startRef = useRef(null);
+
+  layout.sync(snapshot, extras);
+  const count = layout.length;
+  const total = layout.total();
+
+  let start;
+  let end;
+  if (!view.height) {
+    start = Math.max(0, count - INITIAL_ROWS);
+    end = count;
+  } else {
+    // at the bottom, new rows are in view before the scroll position catches up
+    const anchorIndex = view.id == null ? -1 : layout.indexOf(view.id);
+    const top = atBottom
+      ? Math.max(0, total - view.height)
+      : anchorIndex >= 0
+      ? layout.offset(anchorIndex) - view.offset
+      : view.top;
+    start = layout.indexAt(top - OVERSCAN_PX);
+    end = Math.min(count, layout.indexAt(top + view.height + OVERSCAN_PX) + 1);
+  }
+  const rows = [];
+  for (let r = start; r < end; r++) rows.push(layout.at(r));
+
+  // top of the list in the box's scroll coordinates
+  const listTop = useCallback(() => {
+    const box = boxRef.current;
+    const first = startRef.current;
+    if (!box || !first) return 0;
+    return first.getBoundingClientRect().top - box.getBoundingClientRect().top + box.scrollTop;
+  }, [boxRef]);
+
+  // put the viewport back where the user left it: on the bottom, or with the
+  // anchor row at the same distance from the top
+  const settle = useCallback(() => {
+    const box = boxRef.current;
+    if (!box || !box.clientHeight) return;
+    if (atBottomRef.current) {
+      box.scrollTop = box.scrollHeight;
+      return;
+    }
+    const anchor = anchorRef.current;
+    const el = anchor && box.querySelector(`[data-row-id="${CSS.escape(anchor.id)}"]`);
+    if (!el) return;
+    const delta = el.getBoundingClientRect().top - box.getBoundingClientRect().top - anchor.offset;
+    if (Math.abs(delta) >= 1) box.scrollTop += delta;
+  }, [boxRef]);
+
+  // record the anchor and bottom state, and move the window once it has scrolled far enough
+  const onScroll = useCallback(() => {
+    const box = boxRef.current;
+    if (!box || !box.clientHeight) return;
+    const bottom = box.scrollHeight - box.scrollTop - box.clientHeight <= BOTTOM_SLACK_PX;
+    atBottomRef.current = bottom;
+    setAtBottom(bottom);
+
+    const boxTop = box.getBoundingClientRect().top;
+    let anchor = null;
+    for (const el of box.querySelectorAll("[data-row-id]")) {
+      const rect = el.getBoundingClientRect();
+      if (rect.bottom > boxTop) {
+        anchor = { id: el.dataset.rowId, offset: rect.top - boxTop };
+        break;
+      }
+    }
+    anchorRef.current = anchor;
+
+    const top = box.scrollTop - listTop();
+    const height = box.clientHeight;
+    setView((prev) =>
+      Math.abs(prev.top - top) < RERENDER_PX && prev.height === height
+        ? prev
+        : { top, height, id: anchor && anchor.id, offset: anchor ? anchor.offset : 0 }
+    );
+  }, [boxRef, listTop]);
+
+  const onResize = useCallback(
+    (entries) => {
+      let changed = false;
+      entries.forEach((entry) => {
+        const el = entry.target;
+        if (el === boxRef.current) {
+          onScroll();
+          return;
+        }
+        const height = el.getBoundingClientRect().height;
+        // hidden rooms report zero; keep what we measured while visible
+        if (height && el.dataset.rowId && layout.measure(el.dataset.rowId, height)) changed = true;
+      });
+      if (!changed) return;
+      settle();
+      setMeasured((n) => n + 1);
+    },
+    [boxRef, onScroll, settle, layout]
+  );
+
+  const observer = useCallback(() => {
+    if (!observerRef.current) observerRef.current = new ResizeObserver(onResize);
+    return observerRef.current;
+  }, [onResize]);
+
+  // ref callback for each rendered row
+  const measure = useCallback(
+    (el) => {
+      if (!el) return;
+      const ro = observer();
+      ro.observe(el);
+      return () => ro.unobserve(el);
+    },
+    [observer]
+  );
+
+  // the box itself, for viewport size changes (window resize, room shown again)
+  useEffect(() => {
+    const box = boxRef.current;
+    if (!box) return;
+    const ro = observer();
+    ro.observe(box);
+    box.addEventListener("scroll", onScroll, { passive: true });
+    return () => {
+      box.removeEventListener("scroll", onScroll);
+      ro.disconnect();
+      observerRef.current = null;
+    };
+  }, [boxRef, observer, onScroll]);
+
+  // rows added, removed or re-rendered
+  useLayoutEffect(() => {
+    settle();
+  });
+
+  // scroll to a row, mounted or not; false if there is no such row
+  const scrollToId = useCallback(
+    (id) => {
+      const box = boxRef.current;
+      const index = layout.indexOf(id);
+      if (!box || index < 0) return false;
+      atBottomRef.current = false;
+      anchorRef.current = null;
+      box.scrollTop = listTop() + layout.offset(index) - box.clientHeight / 2;
+      return true;
+    },
+    [boxRef, listTop, layout]
+  );
+
+  const scrollToBottom = useCallback(() => {
+    const box = boxRef.current;
+    atBottomRef.current = true;
+    if (box) box.scrollTop = box.scrollHeight;
+  }, [boxRef]);
+
+  return {
+    rows,
+    count,
+    last: count ? layout.at(count - 1) : null,
+    padTop: layout.offset(start),
+    padBottom: total - layout.offset(end),
+    startRef,
+    measure,
+    atBottom,
+    scrollToId,
+    scrollToBottom,
+  };
+}
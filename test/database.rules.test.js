@@ -0,0 +1,276 @@
+// test/database.rules.test.js
+// database.rules.json against the Auth/Database emulators. run with
+//   npm run test:rules
+// which starts the emulators (firebase.json) around vitest; a plain `npm test`
+// skips this suite when no emulator is running.
+import { readFileSync } from "node:fs";
+import { afterAll, beforeAll, beforeEach, describe, it } from "vitest";
+import { initializeTestEnvironment, assertFails, assertSucceeds } from "@firebase/rules-unit-testing";
+import { ref, get, set, update, serverTimestamp } from "firebase/database";
+
+const emulated = !!process.env.FIREBASE_DATABASE_EMULATOR_HOST;
+const ROOM = "rooms/r1";
+
+describe.skipIf(!emulated)("database rules", () => {
+  let env;
+
+  beforeAll(async () => {
+    env = await initializeTestEnvironment({
+      projectId: "demo-goatsloth",
+      database: { rules: readFileSync(new URL("../database.rules.json", import.meta.url), "utf8") },
+    });
+  });
+
+  afterAll(async () => {
+    if (env) await env.cleanup();
+  });
+
+  // r1 is owned by alice; carol moderates; bob and dave are regulars
+  beforeEach(async () => {
+    await env.clearDatabase();
+    await seed({ [ROOM]: { createdAt: 1, meta: { ownerId: "alice" }, mods: { carol: true } } });
+  });
+
+  function seed(values) {
+    return env.withSecurityRulesDisabled((ctx) => update(ref(ctx.database()), values));
+  }
+
+  function as(uid) {
+    return env.authenticatedContext(uid).database();
+  }
+
+  // a new message plus the lastPost stamp the rules require in the same write
+  function post(uid, id, { fromId = uid, stamp = serverTimestamp(), room = ROOM } = {}) {
+    return update(ref(as(uid), room), {
+      [`messages/${id}`]: { fromId, fromName: uid, text: "hi", at: Date.now() },
+      [`lastPost/${uid}`]: stamp,
+    });
+  }
+
+  describe("presence", () => {
+    const entry = (uid, name = uid) => ({ id: uid, name, joinedAt: Date.now() });
+
+    it("lets you write only your own participant entry", async () => {
+      await assertSucceeds(set(ref(as("bob"), `${ROOM}/participants/bob`), entry("bob")));
+      await assertFails(set(ref(as("bob"), `${ROOM}/participants/dave`), entry("dave")));
+      await assertFails(set(ref(as("bob"), `${ROOM}/participants/bob`), entry("dave")));
+    });
+
+    it("caps display names", async () => {
+      await assertSucceeds(set(ref(as("bob"), `${ROOM}/participants/bob`), entry("bob", "x".repeat(40))));
+      await assertFails(set(ref(as("bob"), `${ROOM}/participants/bob`), entry("bob", "x".repeat(41))));
+    });
+
+    it("validates connection entries", async () => {
+      await assertSucceeds(set(ref(as("bob"), `${ROOM}/participants/bob`), entry("bob")));
+      await assertSucceeds(
+        set(ref(as("bob"), `${ROOM}/participants/bob/connections/c1`), { status: "away", at: Date.now() })
+      );
+      await assertFails(
+        set(ref(as("bob"), `${ROOM}/participants/bob/connections/c1`), { status: "hacked", at: Date.now() })
+      );
+      await assertFails(set(ref(as("bob"), `${ROOM}/participants/bob/connections/c2`), { status: "online" }));
+    });
+
+    it("lets you write only your own typing flag and read pointer", async () => {
+      await assertSucceeds(set(ref(as("bob"), `${ROOM}/typing/bob`), { name: "bob", at: 1 }));
+      await assertFails(set(ref(as("bob"), `${ROOM}/typing/dave`), { name: "dave", at: 1 }));
+      await assertFails(set(ref(as("bob"), `${ROOM}/reads/dave`), { key: "m1" }));
+    });
+
+    it("requires sign-in", async () => {
+      const guest = env.unauthenticatedContext().database();
+      await assertFails(get(ref(guest, ROOM)));
+      await assertFails(set(ref(guest, `${ROOM}/participants/bob`), entry("bob")));
+    });
+  });
+
+  describe("messages", () => {
+    it("accepts a message from its sender with a server-stamped lastPost", async () => {
+      await assertSucceeds(post("bob", "m1"));
+    });
+
+    it("rejects a forged fromId", async () => {
+      await assertFails(post("bob", "m1", { fromId: "dave" }));
+    });
+
+    it("lets only the sender edit or delete", async () => {
+      await assertSucceeds(post("bob", "m1"));
+      const msg = `${ROOM}/messages/m1`;
+      await assertSucceeds(update(ref(as("bob"), msg), { text: "edited", editedAt: Date.now() }));
+      await assertFails(update(ref(as("dave"), msg), { text: "mine now" }));
+      await assertFails(update(ref(as("dave"), msg), { deleted: true }));
+      await assertSucceeds(update(ref(as("bob"), msg), { deleted: true, text: null }));
+    });
+  });
+
+  describe("tombstones", () => {
+    const msg = `${ROOM}/messages/m1`;
+
+    it("lets only the owner and moderators delete others' messages", async () => {
+      await assertSucceeds(post("bob", "m1"));
+      await assertFails(update(ref(as("dave"), msg), { deleted: true, text: null }));
+      await assertSucceeds(update(ref(as("carol"), msg), { deleted: true, text: null }));
+    });
+
+    it("doesn't let the sender undo a moderator's delete", async () => {
+      await assertSucceeds(post("bob", "m1"));
+      await assertSucceeds(update(ref(as("carol"), msg), { deleted: true, text: null }));
+      await assertFails(update(ref(as("bob"), msg), { deleted: false, text: "back again" }));
+      await assertFails(update(ref(as("bob"), msg), { deleted: null, text: "back again" }));
+    });
+  });
+
+  describe("bans", () => {
+    it("lets the owner and moderators ban, but nobody ban the owner", async () => {
+      await assertSucceeds(set(ref(as("alice"), `${ROOM}/bans/bob`), { by: "alice", at: 1 }));
+      await assertSucceeds(set(ref(as("carol"), `${ROOM}/bans/dave`), { by: "carol", at: 1 }));
+      await assertFails(set(ref(as("carol"), `${ROOM}/bans/alice`), { by: "carol", at: 1 }));
+    });
+
+    it("doesn't let regulars ban", async () => {
+      await assertFails(set(ref(as("bob"), `${ROOM}/bans/dave`), { by: "bob", at: 1 }));
+    });
+
+    it("locks a banned user out of the room", async () => {
+      await seed({ [`${ROOM}/bans/bob`]: { by: "alice", at: 1 } });
+      await assertFails(get(ref(as("bob"), ROOM)));
+      await assertFails(post("bob", "m1"));
+      await assertFails(
+        set(ref(as("bob"), `${ROOM}/participants/bob`), { id: "bob", name: "bob", joinedAt: 1 })
+      );
+      await assertSucceeds(get(ref(as("bob"), `${ROOM}/bans/bob`)));
+    });
+
+    it("keeps a banned user from typing or moving their read pointer", async () => {
+      await seed({ [`${ROOM}/bans/bob`]: { by: "alice", at: 1 } });
+      await assertFails(set(ref(as("bob"), `${ROOM}/typing/bob`), { name: "bob", at: 1 }));
+      await assertFails(set(ref(as("bob"), `${ROOM}/reads/bob`), { key: "m1" }));
+    });
+  });
+
+  describe("mutes", () => {
+    it("blocks posting until the mute expires", async () => {
+      await seed({ [`${ROOM}/mutes/bob`]: { by: "alice", at: 1, until: Date.now() + 60000 } });
+      await assertFails(post("bob", "m1"));
+      await seed({ [`${ROOM}/mutes/bob/until`]: Date.now() - 1000 });
+      await assertSucceeds(post("bob", "m2"));
+    });
+
+    it("blocks posting for good without an until", async () => {
+      await seed({ [`${ROOM}/mutes/bob`]: { by: "alice", at: 1 } });
+      await assertFails(post("bob", "m1"));
+    });
+
+    it("lets only the owner and moderators mute", async () => {
+      await assertSucceeds(set(ref(as("carol"), `${ROOM}/mutes/bob`), { by: "carol", at: 1 }));
+      await assertFails(set(ref(as("bob"), `${ROOM}/mutes/dave`), { by: "bob", at: 1 }));
+      await assertFails(set(ref(as("carol"), `${ROOM}/mutes/alice`), { by: "carol", at: 1 }));
+    });
+  });
+
+  describe("locked rooms", () => {
+    it("only lets the owner and moderators post", async () => {
+      await seed({ [`${ROOM}/meta/locked`]: true });
+      await assertFails(post("bob", "m1"));
+      await assertSucceeds(post("alice", "m2"));
+      await assertSucceeds(post("carol", "m3"));
+    });
+
+    it("only lets the owner and moderators lock", async () => {
+      await assertFails(set(ref(as("bob"), `${ROOM}/meta/locked`), true));
+      await assertSucceeds(set(ref(as("carol"), `${ROOM}/meta/locked`), true));
+    });
+  });
+
+  describe("slow mode", () => {
+    beforeEach(() => seed({ [`${ROOM}/meta/slowMode`]: 30 }));
+
+    it("rejects a send without the lastPost stamp, or with a client clock", async () => {
+      await assertFails(
+        set(ref(as("bob"), `${ROOM}/messages/m1`), { fromId: "bob", fromName: "bob", text: "hi", at: Date.now() })
+      );
+      await assertFails(post("bob", "m1", { stamp: Date.now() - 60000 }));
+    });
+
+    it("rejects a second post inside the interval", async () => {
+      await assertSucceeds(post("bob", "m1"));
+      await assertFails(post("bob", "m2"));
+    });
+
+    it("accepts a post once the interval has passed", async () => {
+      await seed({ [`${ROOM}/lastPost/bob`]: Date.now() - 31000 });
+      await assertSucceeds(post("bob", "m1"));
+    });
+
+    it("exempts the owner and moderators", async () => {
+      await assertSucceeds(post("carol", "m1"));
+      await assertSucceeds(post("carol", "m2"));
+      await assertSucceeds(post("alice", "m3"));
+      await assertSucceeds(post("alice", "m4"));
+    });
+
+    it("only accepts lastPost === now", async () => {
+      await assertFails(set(ref(as("bob"), `${ROOM}/lastPost/bob`), 0));
+      await assertSucceeds(set(ref(as("bob"), `${ROOM}/lastPost/bob`), serverTimestamp()));
+    });
+  });
+
+  describe("ownership", () => {
+    it("sets the owner only in the write that creates the room", async () => {
+      await assertSucceeds(
+        update(ref(as("bob"), "rooms/r2"), { createdAt: serverTimestamp(), "meta/ownerId": "bob" })
+      );
+      await assertFails(update(ref(as("dave"), "rooms/r3"), { createdAt: serverTimestamp(), "meta/ownerId": "bob" }));
+    });
+
+    it("doesn't let anyone claim a room that has no owner", async () => {
+      await seed({ "rooms/old": { createdAt: 1 } });
+      await assertFails(set(ref(as("dave"), "rooms/old/meta/ownerId"), "dave"));
+      await assertFails(set(ref(as("dave"), "rooms/old/meta/title"), "mine"));
+      await assertFails(set(ref(as("dave"), "rooms/old/meta/topic"), "mine"));
+    });
+
+    it("lets the owner and moderators set title and topic", async () => {
+      await assertSucceeds(set(ref(as("alice"), `${ROOM}/meta/title`), "Room"));
+      await assertSucceeds(set(ref(as("carol"), `${ROOM}/meta/topic`), "Topic"));
+      await assertFails(set(ref(as("bob"), `${ROOM}/meta/title`), "Mine"));
+    });
+  });
+
+  describe("password rooms", () => {
+    beforeEach(() =>
+      seed({
+        [`${ROOM}/password`]: { salt: "s", iterations: 1, hash: "right" },
+        [`${ROOM}/meta/hasPassword`]: true,
+        [`${ROOM}/members/alice`]: "right",
+      })
+    );
+
+    it("shows the salt but not the room to non-members", async () => {
+      await assertSucceeds(get(ref(as("bob"), `${ROOM}/password/salt`)));
+      await assertFails(get(ref(as("bob"), `${ROOM}/password/hash`)));
+      await assertFails(get(ref(as("bob"), `${ROOM}/messages`)));
+      await assertFails(post("bob", "m1"));
+    });
+
+    it("keeps non-members from typing or moving their read pointer", async () => {
+      await assertFails(set(ref(as("bob"), `${ROOM}/typing/bob`), { name: "bob", at: 1 }));
+      await assertFails(set(ref(as("bob"), `${ROOM}/reads/bob`), { key: "m1" }));
+      await assertSucceeds(set(ref(as("alice"), `${ROOM}/reads/alice`), { key: "m1" }));
+    });
+
+    it("admits a member only with the right hash", async () => {
+      await assertFails(set(ref(as("bob"), `${ROOM}/members/bob`), "wrong"));
+      await assertFails(set(ref(as("bob"), `${ROOM}/members/dave`), "right"));
+      await assertSucceeds(set(ref(as("bob"), `${ROOM}/members/bob`), "right"));
+      await assertSucceeds(get(ref(as("bob"), `${ROOM}/messages`)));
+      await assertSucceeds(post("bob", "m1"));
+    });
+
+    it("lets only the owner change the password", async () => {
+      await assertFails(set(ref(as("carol"), `${ROOM}/password`), { salt: "t", iterations: 1, hash: "mine" }));
+      await assertSucceeds(set(ref(as("alice"), `${ROOM}/password`), { salt: "t", iterations: 1, hash: "new" }));
+    });
+  });
+});